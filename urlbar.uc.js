@@ -17,7 +17,30 @@ const CONFIG = {
   EXTENSIONS_URL: "https://addons.mozilla.org/en-US/firefox/extensions/",
   FALLBACK_ICON: "chrome://mozapps/skin/extensions/extension.svg",
   ICON_SIZE: "16px",
-  ICON_MARGIN: "2px"
+  ICON_MARGIN: "2px",
+  DEFAULT_QUICK_ACTIONS: ["screenshot", "devtools", "copy-link", "reader"],
+  QUICK_ACTIONS_PER_ROW: 4,
+  NAV_ITEM_SELECTOR: '[role="button"], menulist, checkbox, input',
+  DEFAULT_SHORTCUT: "accel+alt+P",
+  SHARE_ACCELERATOR: "S",
+  QR_ACCELERATOR: "Q",
+  URLBAR_ID: "urlbar",
+  ALL_URLS_PATTERNS: ["<all_urls>", "*://*/*", "http://*/*", "https://*/*"],
+  EXTENSION_TILES_PER_ROW: 7,
+  EXTENSION_DRAG_TYPE: "application/x-page-controls-extension",
+  OPTIONS_MAX_HEIGHT: 400,
+  LONG_PRESS_MS: 500,
+  SELECTION_TIMEOUT_MS: 1000,
+  MAX_URL_UNWRAPS: 5,
+  QR_QUIET_ZONE: 4,
+  QR_MODULE_SIZE: 4,
+  QR_EXPORT_MODULE_SIZE: 10,
+  DEFAULT_SCREENSHOT_FILENAME: "Screenshot {date} at {time} - {host}",
+  SCREENSHOT_HISTORY_SIZE: 4,
+  SCREENSHOT_THUMBNAIL_SIZE: 160,
+  SCREENSHOT_MAX_DIMENSION: 32767,
+  SCREENSHOT_MAX_KEPT_BYTES: 8 * 1024 * 1024,
+  PAGE_PERMISSIONS: ["camera", "microphone", "geo", "desktop-notification", "autoplay-media", "popup", "storage-access"]
 };
 
 const SELECTORS = {
@@ -26,8 +49,232 @@ const SELECTORS = {
   PANEL: "#page-controls-panel",
   BUTTON: "#page-controls-button",
   SHARE_BUTTON: "#share-url-button",
+  PANEL_POPUP: "[data-page-controls-popup]",
+  SHARE_CLEAN_ROW: "#share-clean-row",
   ADD_EXTENSION_BUTTON: "#add-extension-button",
-  EXTENSION_CONTAINER: "#extension-container"
+  EXTENSION_CONTAINER: "#extension-container",
+  EXTENSION_OVERFLOW_BUTTON: "#extension-overflow-button",
+  EXTENSION_HEALTH_ROW: "#extension-health-row",
+  PAGE_ACTION_ROW: "#page-action-row",
+  PAGE_ACTION_CONTAINER: "#page-action-container"
+};
+
+const PREFS = {
+  BRANCH: "zen.page-controls.",
+  SECTION_ORDER: "zen.page-controls.sections.order",
+  SECTIONS_HIDDEN: "zen.page-controls.sections.hidden",
+  SECTIONS_COLLAPSED: "zen.page-controls.sections.collapsed",
+  QUICK_ACTIONS: "zen.page-controls.quick-actions",
+  SHORTCUT: "zen.page-controls.shortcut",
+  ACCELERATORS_ENABLED: "zen.page-controls.accelerators.enabled",
+  CONTAINER_ASSIGNMENTS: "zen.page-controls.container-assignments",
+  EXTENSIONS_BRANCH: "zen.page-controls.extensions.",
+  EXTENSION_ORDER: "zen.page-controls.extensions.order",
+  EXTENSIONS_HIDDEN: "zen.page-controls.extensions.hidden",
+  EXTENSION_ROWS: "zen.page-controls.extensions.rows",
+  EXTENSION_SETS: "zen.page-controls.extensions.sets",
+  COPY_TEMPLATES: "zen.page-controls.copy.templates",
+  SHARE_BRANCH: "zen.page-controls.share.",
+  CLEAN_URLS: "zen.page-controls.share.clean-urls",
+  CLEAN_URL_RULES: "zen.page-controls.share.clean-rules",
+  SHARE_OPEN_WITH: "zen.page-controls.share.open-with",
+  SCREENSHOT_COPY: "zen.page-controls.screenshots.copy",
+  SCREENSHOT_SAVE: "zen.page-controls.screenshots.save",
+  SCREENSHOT_FOLDER: "zen.page-controls.screenshots.folder",
+  SCREENSHOT_FILENAME: "zen.page-controls.screenshots.filename"
+};
+
+/**
+ * Prefs that change the panel's markup, so the panel is rebuilt when they change
+ */
+const LAYOUT_PREFS = [PREFS.SECTION_ORDER, PREFS.SECTIONS_HIDDEN, PREFS.QUICK_ACTIONS, PREFS.ACCELERATORS_ENABLED];
+
+/**
+ * Connection states shown by the security status in the extras section
+ */
+const CONNECTION_STATES = {
+  "secure": {
+    label: "Secure",
+    icon: "chrome://browser/skin/zen-icons/security.svg",
+    description: "The connection to this site is encrypted and the certificate is valid."
+  },
+  "not-secure": {
+    label: "Not Secure",
+    icon: "chrome://browser/skin/zen-icons/lock-open.svg",
+    description: "The connection to this site is not encrypted. Information you send could be seen by others."
+  },
+  "mixed-content": {
+    label: "Mixed Content",
+    icon: "chrome://global/skin/icons/security-warning.svg",
+    description: "Parts of this page are loaded over an unencrypted connection."
+  },
+  "broken-certificate": {
+    label: "Certificate Error",
+    icon: "chrome://global/skin/icons/security-broken.svg",
+    description: "The certificate for this site is invalid or was overridden."
+  },
+  "local-file": {
+    label: "Local File",
+    icon: "chrome://browser/skin/zen-icons/info.svg",
+    description: "This page is stored on your computer."
+  },
+  "internal": {
+    label: "Internal Page",
+    icon: "chrome://browser/skin/zen-icons/info.svg",
+    description: "This is a browser page."
+  }
+};
+
+/**
+ * Data types offered by the clear site data subview, in display order
+ */
+const SITE_DATA_TYPES = [
+  { id: "http-cache", label: "HTTP Cache" },
+  { id: "cookies", label: "Cookies" },
+  { id: "local-storage", label: "Local Storage" },
+  { id: "indexeddb", label: "IndexedDB" },
+  { id: "service-workers", label: "Service Workers" },
+  { id: "history", label: "History" }
+];
+
+/**
+ * Tooltip lines for an extension's access to the current site
+ */
+const SITE_ACCESS_LABELS = {
+  "always": "Can read and change this site",
+  "on-click": "Can access this site when clicked",
+  "none": "Can't access this site"
+};
+
+/**
+ * Readable descriptions of extension API permissions, as about:addons words
+ * them. Permissions not listed here are shown by name.
+ */
+const PERMISSION_LABELS = {
+  "bookmarks": "Read and modify bookmarks",
+  "browserSettings": "Read and modify browser settings",
+  "browsingData": "Clear recent browsing history, cookies, and related data",
+  "clipboardRead": "Get data from the clipboard",
+  "clipboardWrite": "Input data to the clipboard",
+  "declarativeNetRequest": "Block content on any page",
+  "declarativeNetRequestFeedback": "Read your browsing history",
+  "devtools": "Extend developer tools to access your data in open tabs",
+  "downloads": "Download files and read and modify the browser's download history",
+  "downloads.open": "Open files downloaded to your computer",
+  "find": "Read the text of all open tabs",
+  "geolocation": "Access your location",
+  "history": "Access browsing history",
+  "management": "Monitor extension usage and manage themes",
+  "nativeMessaging": "Exchange messages with programs other than this browser",
+  "notifications": "Display notifications to you",
+  "pkcs11": "Provide cryptographic authentication services",
+  "privacy": "Read and modify privacy settings",
+  "proxy": "Control browser proxy settings",
+  "sessions": "Access recently closed tabs",
+  "tabs": "Access browser tabs",
+  "tabHide": "Hide and show browser tabs",
+  "topSites": "Access browsing history",
+  "userScripts": "Run user scripts on websites",
+  "webNavigation": "Access browser activity during navigation"
+};
+
+/**
+ * Readable names for nsICookie SameSite values
+ */
+const COOKIE_SAME_SITE = {
+  [Ci.nsICookie.SAMESITE_NONE]: "None",
+  [Ci.nsICookie.SAMESITE_LAX]: "Lax",
+  [Ci.nsICookie.SAMESITE_STRICT]: "Strict"
+};
+
+/**
+ * Readable names for nsITransportSecurityInfo protocol versions
+ */
+const TLS_VERSIONS = {
+  [Ci.nsITransportSecurityInfo.SSL_VERSION_3]: "SSL 3.0",
+  [Ci.nsITransportSecurityInfo.TLS_VERSION_1]: "TLS 1.0",
+  [Ci.nsITransportSecurityInfo.TLS_VERSION_1_1]: "TLS 1.1",
+  [Ci.nsITransportSecurityInfo.TLS_VERSION_1_2]: "TLS 1.2",
+  [Ci.nsITransportSecurityInfo.TLS_VERSION_1_3]: "TLS 1.3"
+};
+
+/**
+ * Built-in formats in the copy link menu. Templates use {title}, {url},
+ * {host} and {selection}; html formats escape the values, and rich formats
+ * put RICH_TEXT_TEMPLATE on the clipboard as HTML, with the template as the
+ * plain-text fallback.
+ */
+const COPY_FORMATS = [
+  { id: "url", label: "URL", template: "{url}" },
+  { id: "markdown", label: "Markdown", template: "[{title}]({url})" },
+  { id: "html", label: "HTML Link", template: '<a href="{url}">{title}</a>', html: true },
+  { id: "title-url", label: "Title — URL", template: "{title} — {url}" },
+  { id: "org", label: "Org-mode Link", template: "[[{url}][{title}]]" },
+  { id: "rich-text", label: "Rich Text Link", template: "{title} — {url}", rich: true }
+];
+
+const RICH_TEXT_TEMPLATE = '<a href="{url}">{title}</a>';
+
+/**
+ * Built-in URL cleaning rules. A rule applies to every host unless it lists
+ * hosts, and a host matches its subdomains too. "remove" drops matching query
+ * parameters; "unwrap" replaces a redirect link on "path" with the URL held
+ * in the first of its parameters that is present. Host and parameter names
+ * may use "*" as a wildcard.
+ */
+const URL_CLEANING_RULES = [
+  {
+    remove: [
+      "utm_*", "fbclid", "gclid", "gclsrc", "dclid", "gbraid", "wbraid", "msclkid",
+      "yclid", "twclid", "ttclid", "igshid", "mc_cid", "mc_eid", "_hsenc", "_hsmi",
+      "mkt_tok", "oly_anon_id", "oly_enc_id", "vero_id", "wickedid", "rb_clickid"
+    ]
+  },
+  { hosts: ["amazon.*"], remove: ["ref", "ref_", "pf_rd_*", "pd_rd_*", "_encoding", "content-id", "psc"] },
+  { hosts: ["youtube.com", "youtu.be"], remove: ["si", "pp", "feature"] },
+  { hosts: ["twitter.com", "x.com"], remove: ["s", "t", "ref_src", "ref_url"] },
+  { hosts: ["instagram.com"], remove: ["igsh"] },
+  { hosts: ["open.spotify.com"], remove: ["si", "context"] },
+  { hosts: ["reddit.com"], remove: ["share_id", "rdt"] },
+  { hosts: ["linkedin.com"], remove: ["trk", "trackingId", "lipi"] },
+  { hosts: ["google.*"], path: "/url", unwrap: ["url", "q"] },
+  { hosts: ["l.facebook.com", "lm.facebook.com"], path: "/l.php", unwrap: ["u"] },
+  { hosts: ["youtube.com"], path: "/redirect", unwrap: ["q"] },
+  { hosts: ["l.instagram.com"], path: "/", unwrap: ["u"] },
+  { hosts: ["steamcommunity.com"], path: "/linkfilter/", unwrap: ["url", "u"] },
+  { hosts: ["out.reddit.com"], unwrap: ["url"] }
+];
+
+/**
+ * Capture modes in the screenshot subview
+ */
+const SCREENSHOT_MODES = [
+  { id: "visible", label: "Visible Area" },
+  { id: "full-page", label: "Full Page" },
+  { id: "region", label: "Select Region or Element…" }
+];
+
+/**
+ * Catalog of quick actions users can place in the page controls row.
+ * Each entry maps to a browser command element; entries with a handler run
+ * that PanelManager method instead because they need more than doCommand().
+ * The original four keep their element IDs so existing styles still apply.
+ * The accelerator is the single key that runs the action while the panel is open.
+ * Entries with a menu open that PanelManager method on right-click or long-press.
+ */
+const QUICK_ACTIONS = {
+  "screenshot": { label: "Screenshot", command: "Browser:Screenshot", handler: "showScreenshotOptions", elementId: "screenshot-button", accelerator: "X" },
+  "devtools": { label: "DevTools", handler: "triggerDeveloperTools", elementId: "devtools-button", accelerator: "D" },
+  "copy-link": { label: "Copy Link", command: "cmd_zenCopyCurrentURL", handler: "copyCurrentUrl", menu: "showCopyLinkMenu", elementId: "copy-link-button", accelerator: "C" },
+  "reader": { label: "Reader Mode", command: "View:ReaderView", handler: "triggerReaderMode", elementId: "reader-button", accelerator: "R" },
+  "print": { label: "Print", command: "cmd_print", accelerator: "P" },
+  "find": { label: "Find in Page", command: "cmd_find", accelerator: "F" },
+  "bookmark": { label: "Bookmark Page", command: "Browser:AddBookmarkAs", accelerator: "B" },
+  "picture-in-picture": { label: "Picture-in-Picture", command: "View:PictureInPicture", accelerator: "I" },
+  "translate": { label: "Translate Page", command: "cmd_translate", accelerator: "T" },
+  "save-page": { label: "Save Page As", command: "Browser:SavePage", accelerator: "A" },
+  "view-source": { label: "View Page Source", command: "View:PageSource", accelerator: "U" },
+  "hard-reload": { label: "Hard Reload", command: "Browser:ReloadSkipCache", accelerator: "H" }
 };
 
 // ============================================================================
@@ -85,6 +332,703 @@ const logError = (component, message, error) => {
   console.error(`${component}: ${message}`, error);
 };
 
+/**
+ * Reads a comma-separated string pref as a list of trimmed, non-empty entries
+ * @param {string} prefName - The pref to read
+ * @returns {Array<string>} The list entries, empty if the pref is unset
+ */
+const getPrefList = (prefName) => {
+  try {
+    return Services.prefs.getStringPref(prefName, "")
+      .split(",")
+      .map(entry => entry.trim())
+      .filter(Boolean);
+  } catch (error) {
+    logError("URLBarModifier", `Error reading pref ${prefName}`, error);
+    return [];
+  }
+};
+
+/**
+ * Writes a list as a comma-separated string pref
+ * @param {string} prefName - The pref to write
+ * @param {Array<string>} list - The entries to store
+ */
+const setPrefList = (prefName, list) => {
+  Services.prefs.setStringPref(prefName, list.join(","));
+};
+
+/**
+ * Copies plain text to the clipboard
+ * @param {string} text - The text to copy
+ */
+const copyToClipboard = (text) => {
+  Cc["@mozilla.org/widget/clipboardhelper;1"]
+    .getService(Ci.nsIClipboardHelper)
+    .copyString(text);
+};
+
+/**
+ * Converts a pattern where "*" matches anything into a case-insensitive RegExp
+ * @param {string} pattern - The wildcard pattern
+ * @returns {RegExp} A RegExp matching the whole string
+ */
+const wildcardToRegExp = (pattern) => new RegExp(
+  `^${pattern.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*")}$`,
+  "i"
+);
+
+/**
+ * Checks whether a URL cleaning rule applies to a URL
+ * @param {Object} rule - The rule
+ * @param {URL} url - The URL
+ * @returns {boolean} True if the rule's hosts and path match
+ */
+const urlMatchesRule = (rule, url) => {
+  if (rule.path && url.pathname !== rule.path) return false;
+  if (!Array.isArray(rule.hosts) || !rule.hosts.length) return true;
+  return rule.hosts.some(host => {
+    const pattern = wildcardToRegExp(host);
+    const labels = url.hostname.split(".");
+    // A host pattern also matches its subdomains
+    return labels.some((_, index) => pattern.test(labels.slice(index).join(".")));
+  });
+};
+
+/**
+ * Strips tracking parameters from a URL and unwraps redirect links
+ * @param {string} spec - The URL
+ * @param {Array<Object>} rules - Rules shaped like URL_CLEANING_RULES
+ * @returns {Object} { url, removed: parameter names, unwrapped: boolean }
+ */
+const cleanUrl = (spec, rules) => {
+  const result = { url: spec, removed: [], unwrapped: false };
+  let url;
+  try {
+    url = new URL(spec);
+  } catch (_) {
+    return result;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return result;
+
+  // Redirect wrappers can nest, so unwrap until none match
+  for (let depth = 0; depth < CONFIG.MAX_URL_UNWRAPS; depth++) {
+    const rule = rules.find(entry => Array.isArray(entry.unwrap) && urlMatchesRule(entry, url));
+    const param = rule?.unwrap.find(name => url.searchParams.has(name));
+    if (!param) break;
+    let target;
+    try {
+      target = new URL(url.searchParams.get(param));
+    } catch (_) {
+      break;
+    }
+    if (target.protocol !== "http:" && target.protocol !== "https:") break;
+    url = target;
+    result.unwrapped = true;
+  }
+
+  for (const rule of rules) {
+    if (!Array.isArray(rule.remove) || !urlMatchesRule(rule, url)) continue;
+    const patterns = rule.remove.map(wildcardToRegExp);
+    for (const name of [...new Set(url.searchParams.keys())]) {
+      if (patterns.some(pattern => pattern.test(name))) {
+        url.searchParams.delete(name);
+        result.removed.push(name);
+      }
+    }
+  }
+
+  if (result.unwrapped || result.removed.length) {
+    result.url = url.href;
+  }
+  return result;
+};
+
+/**
+ * Copies HTML to the clipboard with a plain-text fallback, so rich editors
+ * paste the HTML and plain ones the text
+ * @param {string} html - The HTML
+ * @param {string} text - The plain text
+ */
+const copyRichText = (html, text) => {
+  const transferable = Cc["@mozilla.org/widget/transferable;1"].createInstance(Ci.nsITransferable);
+  transferable.init(null);
+  for (const [flavor, value] of [["text/html", html], ["text/plain", text]]) {
+    const data = Cc["@mozilla.org/supports-string;1"].createInstance(Ci.nsISupportsString);
+    data.data = value;
+    transferable.addDataFlavor(flavor);
+    transferable.setTransferData(flavor, data);
+  }
+  Services.clipboard.setData(transferable, null, Ci.nsIClipboard.kGlobalClipboard);
+};
+
+/**
+ * Copies image data to the clipboard
+ * @param {ArrayBuffer} buffer - The encoded image
+ * @param {string} type - The image MIME type, e.g. "image/png"
+ */
+const copyImage = (buffer, type) => {
+  const imgTools = Cc["@mozilla.org/image/tools;1"].getService(Ci.imgITools);
+  const image = imgTools.decodeImageFromArrayBuffer(buffer, type);
+  const transferable = Cc["@mozilla.org/widget/transferable;1"].createInstance(Ci.nsITransferable);
+  transferable.init(null);
+  transferable.addDataFlavor(type);
+  transferable.setTransferData(type, image);
+  Services.clipboard.setData(transferable, null, Ci.nsIClipboard.kGlobalClipboard);
+};
+
+/**
+ * Asks the user where to save a file
+ * @param {Object} options - { title, defaultName, filter: [label, pattern] }
+ * @returns {Promise<string|null>} The chosen path, or null if cancelled
+ */
+const pickSaveFile = ({ title, defaultName, filter }) => {
+  const picker = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+  picker.init(window.browsingContext, title, Ci.nsIFilePicker.modeSave);
+  picker.defaultString = defaultName;
+  if (filter) {
+    picker.appendFilter(...filter);
+  }
+  return new Promise(resolve => picker.open(result => {
+    const accepted = result === Ci.nsIFilePicker.returnOK || result === Ci.nsIFilePicker.returnReplace;
+    resolve(accepted ? picker.file.path : null);
+  }));
+};
+
+/**
+ * Escapes a string for use inside XUL markup attributes and text
+ * @param {string} value - The raw string
+ * @returns {string} The escaped string
+ */
+const escapeXML = (value) => String(value)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;");
+
+/**
+ * Parses a shortcut string such as "accel+alt+P" into its modifiers and key.
+ * "accel" is Cmd on macOS and Ctrl elsewhere.
+ * @param {string} shortcut - Modifiers and a key joined by "+"
+ * @returns {Object|null} The parsed shortcut, or null if empty or invalid
+ */
+const parseShortcut = (shortcut) => {
+  const parts = (shortcut || "").split("+").map(part => part.trim()).filter(Boolean);
+  const key = parts.pop();
+  if (!key) return null;
+
+  const aliases = { accel: AppConstants.platform === "macosx" ? "meta" : "ctrl", control: "ctrl", cmd: "meta", option: "alt" };
+  const modifiers = new Set(parts.map(part => aliases[part.toLowerCase()] || part.toLowerCase()));
+  if ([...modifiers].some(modifier => !["ctrl", "alt", "shift", "meta"].includes(modifier))) {
+    return null;
+  }
+
+  return {
+    key,
+    ctrl: modifiers.has("ctrl"),
+    alt: modifiers.has("alt"),
+    shift: modifiers.has("shift"),
+    meta: modifiers.has("meta")
+  };
+};
+
+/**
+ * Checks whether a keydown event matches a parsed shortcut. Letters and digits
+ * match by physical key so Alt and Shift layouts don't change the result.
+ * @param {KeyboardEvent} event - The keydown event
+ * @param {Object|null} shortcut - A shortcut from parseShortcut()
+ * @returns {boolean} True if the event matches
+ */
+const matchesShortcut = (event, shortcut) => {
+  if (!shortcut) return false;
+  if (event.ctrlKey !== shortcut.ctrl || event.altKey !== shortcut.alt ||
+      event.shiftKey !== shortcut.shift || event.metaKey !== shortcut.meta) {
+    return false;
+  }
+  if (/^[a-z]$/i.test(shortcut.key)) {
+    return event.code === `Key${shortcut.key.toUpperCase()}`;
+  }
+  if (/^[0-9]$/.test(shortcut.key)) {
+    return event.code === `Digit${shortcut.key}`;
+  }
+  return event.key.toLowerCase() === shortcut.key.toLowerCase();
+};
+
+// ============================================================================
+// QR CODE ENCODER
+// ============================================================================
+
+/**
+ * Error correction codewords per block and block counts for each QR version
+ * at error correction level M, indexed by version (index 0 is unused)
+ */
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+];
+const QR_ECC_BLOCKS = [
+  -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+];
+
+/**
+ * Multiplies two elements of the QR code's Reed-Solomon field, GF(2^8)
+ * modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - A byte
+ * @param {number} y - A byte
+ * @returns {number} The product
+ */
+const qrMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Computes Reed-Solomon error correction codewords for a block of data
+ * @param {Array<number>} data - The data codewords
+ * @param {number} degree - The number of error correction codewords
+ * @returns {Array<number>} The error correction codewords
+ */
+const qrReedSolomon = (data, degree) => {
+  const divisor = new Array(degree).fill(0);
+  divisor[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      divisor[j] = qrMultiply(divisor[j], root);
+      if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+
+  const remainder = new Array(degree).fill(0);
+  for (const byte of data) {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    divisor.forEach((coefficient, i) => {
+      remainder[i] ^= qrMultiply(coefficient, factor);
+    });
+  }
+  return remainder;
+};
+
+/**
+ * Counts the modules of a QR version available for data and error correction
+ * @param {number} version - The version, 1 to 40
+ * @returns {number} The module count
+ */
+const qrRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+/**
+ * Counts a QR version's data codewords at error correction level M
+ * @param {number} version - The version, 1 to 40
+ * @returns {number} The codeword count
+ */
+const qrDataCodewords = (version) =>
+  Math.floor(qrRawDataModules(version) / 8) - QR_ECC_CODEWORDS_PER_BLOCK[version] * QR_ECC_BLOCKS[version];
+
+/**
+ * Scores a module grid by the QR specification's mask penalty rules: long
+ * runs, 2x2 blocks, finder-like patterns and an unbalanced dark ratio
+ * @param {Array<Array<boolean>>} modules - The grid, dark modules true
+ * @returns {number} The penalty; lower is better
+ */
+const qrPenalty = (modules) => {
+  const size = modules.length;
+  const finderLike = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+  ];
+  let penalty = 0;
+  let dark = 0;
+
+  const scoreLine = (line) => {
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+        continue;
+      }
+      if (runLength >= 5) penalty += 3 + runLength - 5;
+      runLength = 1;
+    }
+    for (let i = 0; i + 11 <= size; i++) {
+      if (finderLike.some(pattern => pattern.every((value, j) => line[i + j] === value))) {
+        penalty += 40;
+      }
+    }
+  };
+
+  for (let y = 0; y < size; y++) {
+    scoreLine(modules[y]);
+    scoreLine(modules.map(row => row[y]));
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x + 1 < size && y + 1 < size) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          penalty += 3;
+        }
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+/**
+ * Encodes text as a QR code in byte mode at error correction level M, using
+ * the smallest version that fits and the mask with the lowest penalty
+ * @param {string} text - The text to encode
+ * @returns {Object} { size, modules } where modules[y][x] is true for dark
+ * @throws {RangeError} If the text is too long for a QR code
+ */
+const encodeQRCode = (text) => {
+  const bytes = [...new TextEncoder().encode(text)];
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= qrDataCodewords(version) * 8) break;
+  }
+  if (version > 40) {
+    throw new RangeError("Text is too long for a QR code");
+  }
+
+  // Data bits: byte mode indicator, length, the bytes, then terminator and padding
+  const bits = [];
+  const appendBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  const capacityBits = qrDataCodewords(version) * 8;
+  appendBits(0x4, 4);
+  appendBits(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(byte => appendBits(byte, 8));
+  appendBits(0, Math.min(4, capacityBits - bits.length));
+  appendBits(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    appendBits(pad, 8);
+  }
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  // Split into blocks, add error correction, and interleave
+  const blockCount = QR_ECC_BLOCKS[version];
+  const eccLength = QR_ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(qrRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+    offset += block.length;
+    const ecc = qrReedSolomon(block, eccLength);
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ecc));
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks carry a placeholder where long blocks have one more data codeword
+      if (i !== shortBlockLength - eccLength || j >= shortBlockCount) {
+        codewords.push(block[i]);
+      }
+    });
+  }
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunctionModule = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunctionModule(6, i, i % 2 === 0);
+    setFunctionModule(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns and their separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          setFunctionModule(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+
+  // Alignment patterns, except where they would overlap finder patterns
+  if (version > 1) {
+    const alignCount = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + alignCount * 3 + 5) / (alignCount * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < alignCount; position -= step) {
+      positions.splice(1, 0, position);
+    }
+    positions.forEach((cy, i) => positions.forEach((cx, j) => {
+      const last = alignCount - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+  }
+
+  // Format bits hold level M (0b00) and the mask, with their own error correction
+  const drawFormatBits = (mask) => {
+    let remainder = mask;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const format = ((mask << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((format >>> i) & 1) !== 0;
+    for (let i = 0; i <= 5; i++) setFunctionModule(8, i, bit(i));
+    setFunctionModule(8, 7, bit(6));
+    setFunctionModule(8, 8, bit(7));
+    setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunctionModule(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunctionModule(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunctionModule(8, size - 15 + i, bit(i));
+    setFunctionModule(8, size - 8, true);
+  };
+  drawFormatBits(0);
+
+  // Version information, for versions 7 and up
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const versionBits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((versionBits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunctionModule(a, b, isDark);
+      setFunctionModule(b, a, isDark);
+    }
+  }
+
+  // Codewords fill two-module columns in a zigzag from the bottom right
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const maskConditions = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+  ];
+  // Masking flips data modules, so applying a mask twice undoes it
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && maskConditions[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = qrPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return { size, modules };
+};
+
+/**
+ * Renders a QR code as an SVG document with the standard four-module quiet zone
+ * @param {Object} qrCode - The result of encodeQRCode()
+ * @param {number} moduleSize - Pixels per module
+ * @returns {string} The SVG markup
+ */
+const qrCodeToSVG = (qrCode, moduleSize = 8) => {
+  const border = CONFIG.QR_QUIET_ZONE;
+  const dimension = qrCode.size + border * 2;
+  const path = [];
+  qrCode.modules.forEach((row, y) => row.forEach((isDark, x) => {
+    if (isDark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+  }));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${dimension * moduleSize}" height="${dimension * moduleSize}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">
+<rect width="100%" height="100%" fill="#ffffff"/>
+<path d="${path.join("")}" fill="#000000"/>
+</svg>
+`;
+};
+
+/**
+ * Draws a QR code onto a canvas, sized to a whole number of pixels per module
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @param {Object} qrCode - The result of encodeQRCode()
+ * @param {number} moduleSize - Pixels per module
+ */
+const drawQRCode = (canvas, qrCode, moduleSize) => {
+  const border = CONFIG.QR_QUIET_ZONE;
+  canvas.width = canvas.height = (qrCode.size + border * 2) * moduleSize;
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = "#000000";
+  qrCode.modules.forEach((row, y) => row.forEach((isDark, x) => {
+    if (isDark) context.fillRect((x + border) * moduleSize, (y + border) * moduleSize, moduleSize, moduleSize);
+  }));
+};
+
+// ============================================================================
+// PANEL SECTIONS
+// ============================================================================
+
+/**
+ * Built-in panel sections in their default order. Each section declares its
+ * markup, a setup hook that wires its listeners once the panel is built, and
+ * an optional refresh hook that runs whenever the panel opens. Sections with
+ * an isAvailable hook are left out when it returns false.
+ * Users can reorder, hide or collapse sections by ID through PREFS.
+ */
+const BUILTIN_SECTIONS = [
+  {
+    id: "share",
+    elementId: "share-url-section",
+    label: "Share",
+    markup: (manager) => `
+      <hbox id="share-url-row" data-nav-row="">
+        <div id="share-url-button" role="button" aria-label="Share URL" ${manager.getAcceleratorMarkup("Share URL", CONFIG.SHARE_ACCELERATOR)}>
+            <image id="share-url-image" class="urlbar-icon"></image>
+            <label value="Share URL"/>
+        </div>
+        <div id="share-qr-button" role="button" aria-label="QR Code" ${manager.getAcceleratorMarkup("QR Code", CONFIG.QR_ACCELERATOR)}>
+            <image id="share-qr-image" class="urlbar-icon"></image>
+        </div>
+      </hbox>
+      <hbox id="share-clean-row" align="center" data-nav-row="">
+        <checkbox id="share-clean-toggle" label="Clean link" aria-label="Strip tracking parameters when copying and sharing"/>
+        <label id="share-clean-preview" crop="center" flex="1"/>
+      </hbox>`,
+    setup: (manager) => manager.setupShareSectionListeners(),
+    refresh: (manager) => manager.updateUrlCleaningPreview()
+  },
+  {
+    id: "page-controls",
+    elementId: "page-controls-section",
+    label: "Page Controls",
+    markup: (manager) => manager.generateQuickActionsXUL(),
+    setup: (manager) => manager.setupPageControlsSectionListeners(),
+    refresh: (manager) => {
+      manager.updateQuickActionStates();
+      manager.updateRegisteredActionStates();
+    }
+  },
+  {
+    id: "extensions",
+    elementId: "extension-section",
+    label: "Extensions",
+    showLabel: true,
+    markup: () => `
+      <div id="extension-container" role="toolbar" aria-label="Extensions" data-nav-row="">
+          <image id="extension-overflow-button" class="urlbar-icon" role="button" aria-label="More Extensions" tooltiptext="More Extensions" hidden="true"></image>
+          <image id="add-extension-button" class="urlbar-icon" tooltiptext="Open Extension Store" role="button" aria-label="Open Extension Store"></image>
+      </div>
+      <div id="extension-health-row" hidden="true">
+          <div id="extension-health-messages" role="status"></div>
+          <div id="extension-update-all" class="page-controls-subview-button" role="button" data-nav-row="" hidden="true">
+              <label value="Update All"/>
+          </div>
+      </div>
+      <div id="page-action-row" hidden="true">
+          <label id="page-action-row-label" value="For This Page"/>
+          <div id="page-action-container" role="toolbar" aria-label="For This Page" data-nav-row=""></div>
+      </div>`,
+    setup: (manager) => manager.setupExtensionSectionListeners(),
+    refresh: (manager) => {
+      manager.loadExtensions();
+      manager.updateExtensionHealth();
+      manager.updatePageActions();
+    }
+  },
+  {
+    id: "extras",
+    elementId: "extras-section",
+    label: "Extras",
+    markup: () => `
+      <div id="extras-container" role="toolbar" aria-label="Extras" data-nav-row="">
+          <div id="page-secutity-status" role="button">
+              <image id="page-secutity-status-image" class="urlbar-icon"></image>
+              <label id="page-secutity-status-label"></label>
+          </div>
+          <image id="extras-function" class="urlbar-icon" role="button" aria-label="More Page Actions" aria-haspopup="menu"></image>
+      </div>`,
+    setup: (manager) => manager.setupExtrasSectionListeners(),
+    refresh: (manager) => manager.updateSecurityStatus()
+  },
+  {
+    id: "container",
+    elementId: "container-section",
+    label: "Container",
+    isAvailable: (manager) => manager.areContainersEnabled(),
+    markup: () => `
+      <div id="container-row" role="toolbar" aria-label="Container" data-nav-row="">
+          <div id="container-status">
+              <image id="container-status-icon"></image>
+              <label id="container-status-label"></label>
+          </div>
+          <image id="container-menu-button" class="urlbar-icon" role="button" aria-label="Container Options" aria-haspopup="menu" tooltiptext="Container Options"></image>
+      </div>`,
+    setup: (manager) => manager.setupContainerSectionListeners(),
+    refresh: (manager) => manager.updateContainerStatus()
+  }
+];
+
 // ============================================================================
 // PANEL MANAGER CLASS
 // ============================================================================
@@ -99,7 +1043,6 @@ class PanelManager {
     this.button = null;
     this.extensionData = new Map();
     this.addonListener = null;
-    this.extrasMenuListenersSetup = false;
     this.extensionMenuListenersSetup = false;
     this.currentContextMenu = null;
     this.currentContextMenuExtensionId = null;
@@ -107,6 +1050,32 @@ class PanelManager {
     this.boundOnGlobalKeyDown = null;
     this.lastAnchorButton = null;
     this.screenshotCommandId = null;
+    this.longPressedButton = null;
+    this.recentScreenshots = [];
+    this.screenshotStatus = null;
+    this.sections = new Map(BUILTIN_SECTIONS.map(section => [section.id, section]));
+    this.prefObserver = null;
+    this.ignoreNextPrefChange = false;
+    this.needsRebuild = false;
+    this.actions = new Map();
+    this.lifecycleListeners = { open: new Set(), close: new Set(), tabchange: new Set() };
+    this.boundOnTabSelect = null;
+    this.navRowFocus = new WeakMap();
+    this.shortcut = null;
+    this.boundOnShortcutKeyDown = null;
+    this.activeSubview = null;
+    this.tabsProgressListener = null;
+    this.extensionPermissionModules = null;
+    this.extensionParentModule = null;
+    this.actionObserver = null;
+    this.extensionFilter = "";
+    this.extensionSetStatus = null;
+    this.extensionDetailsStatus = null;
+    this.boundOnWorkspaceTabSelect = null;
+    this.lastWorkspaceId = null;
+    this.installListener = null;
+    this.processShutdownObserver = null;
+    this.extensionProcessCrashed = false;
   }
 
   // ============================================================================
@@ -130,11 +1099,36 @@ class PanelManager {
 
     appendXUL(mainPopupSet, panelXUL, null, true);
     this.panel = document.querySelector(SELECTORS.PANEL);
+    this.appendSections();
+    this.activeSubview = null;
+    this.needsRebuild = false;
     this.setupPanelEventListeners();
+    this.setupPrefObserver();
+    this.setupTabChangeListener();
     
     log("PanelManager", "Panel created and added to mainPopupSet");
   }
 
+  /**
+   * Adds each section to the panel on its own, so a section whose markup
+   * throws or doesn't parse is left out instead of breaking the panel
+   */
+  appendSections() {
+    const content = this.panel.querySelector("#page-controls-panel-content");
+    for (const section of this.getSectionLayout()) {
+      try {
+        const sectionXUL = this.generateSectionXUL(section);
+        const fragment = window.MozXULElement.parseXULToFragment(sectionXUL);
+        if (content.firstElementChild) {
+          content.appendChild(document.createXULElement("menuseparator"));
+        }
+        content.appendChild(document.importNode(fragment, true));
+      } catch (error) {
+        logError("PanelManager", `Error rendering section ${section.id}`, error);
+      }
+    }
+  }
+
   /**
    * Removes existing panel if it exists
    */
@@ -156,11 +1150,14 @@ class PanelManager {
     }
 
     const contextMenuXUL = `
-      <menupopup id="extras-context-menu">
+      <menupopup id="extras-context-menu" data-page-controls-popup="">
         <menuitem id="clear-cache-button" label="Clear Cache"/>
         <menuitem id="clear-cookies-button" label="Clear Cookies"/>
+        <menuitem id="clear-site-data-button" label="Clear Site Data…"/>
+        <menuitem id="inspect-cookies-button" label="Inspect Cookies…"/>
         <menuseparator/>
         <menuitem id="manage-extensions-button" label="Manage Extensions"/>
+        <menuitem id="extension-sets-button" label="Extension Sets…"/>
         <menuseparator/>
         <menuitem id="page-permissions-button" label="All Page Permissions"/>
       </menupopup>
@@ -169,125 +1166,305 @@ class PanelManager {
     const mainPopupSet = document.querySelector(SELECTORS.MAIN_POPUP_SET);
     if (mainPopupSet) {
       appendXUL(mainPopupSet, contextMenuXUL, null, true);
+      // Rebuilds replace the menu, so its listeners are attached with each new copy
+      this.setupExtrasMenuListeners();
       log("PanelManager", "Context menu created and added to mainPopupSet");
     }
   }
 
   /**
-   * Generates the XUL markup for the panel
+   * Resolves the sections to render, honouring the order and hidden prefs.
+   * Sections missing from the order pref keep their default position after
+   * the ordered ones.
+   * @returns {Array<Object>} The visible section definitions in display order
+   */
+  getSectionLayout() {
+    const order = getPrefList(PREFS.SECTION_ORDER);
+    const hidden = new Set(getPrefList(PREFS.SECTIONS_HIDDEN));
+
+    const ordered = order
+      .filter(id => this.sections.has(id))
+      .map(id => this.sections.get(id));
+    const remaining = [...this.sections.values()]
+      .filter(section => !order.includes(section.id));
+
+    return [...ordered, ...remaining].filter(section => {
+      if (hidden.has(section.id)) return false;
+      if (typeof section.isAvailable !== "function") return true;
+      try {
+        return section.isAvailable(this);
+      } catch (error) {
+        logError("PanelManager", `Error checking availability of section ${section.id}`, error);
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Checks whether a section is collapsed to its header
+   * @param {string} sectionId - The section ID
+   * @returns {boolean} True if collapsed
+   */
+  isSectionCollapsed(sectionId) {
+    return getPrefList(PREFS.SECTIONS_COLLAPSED).includes(sectionId);
+  }
+
+  /**
+   * Generates the XUL markup for a single section
+   * @param {Object} section - The section definition
+   * @returns {string} The XUL markup
+   */
+  generateSectionXUL(section) {
+    const collapsed = this.isSectionCollapsed(section.id);
+    const label = escapeXML(section.label);
+    return `
+            <div id="${section.elementId}" class="page-controls-panel-section" data-section-id="${section.id}" show-label="${!!section.showLabel}" section-collapsed="${collapsed}" role="group" aria-label="${label}">
+                <label value="${label}" class="page-controls-panel-section-label" role="button" aria-expanded="${!collapsed}" data-nav-row=""/>
+                ${section.markup(this)}
+            </div>`;
+  }
+
+  /**
+   * Generates the XUL markup for the panel, without its sections
    * @returns {string} The XUL markup
    */
   generatePanelXUL() {
     return `
-      <panel id="${CONFIG.PANEL_ID}" type="arrow" noautofocus="true" noautohide="true">
-        <div id="page-controls-panel-content">
-            <div id="share-url-section" class="page-controls-panel-section">
-                <div id="share-url-button">
-                    <image id="share-url-image" class="urlbar-icon"></image>
-                    <label value="Share URL"/>
-                </div>
-            </div>
-            <menuseparator/>
-            <div id="page-controls-section" class="page-controls-panel-section">
-                <div id="page-controls-container">
-                    <image id="screenshot-button" class="urlbar-icon" tooltiptext="Screenshot"></image>
-                    <image id="devtools-button" class="urlbar-icon" tooltiptext="DevTools"></image>
-                    <image id="copy-link-button" class="urlbar-icon" tooltiptext="Copy Link"></image>
-                    <image id="reader-button" class="urlbar-icon" tooltiptext="Reader Mode"></image>
-                </div>        
-            </div>
-            <menuseparator/>
-            <div id="extension-section" class="page-controls-panel-section">
-                <label value="Extensions" class="page-controls-panel-section-label"/>
-                <div id="extension-container">
-                    <image id="add-extension-button" class="urlbar-icon" tooltiptext="Open Extension Store"></image>
-                </div>        
-            </div>
-            <menuseparator/>
-            <div id="extras-section" class="page-controls-panel-section">
-                <div id="extras-container">
-                    <div id="page-secutity-status">
-                        <image id="page-secutity-status-image" class="urlbar-icon"></image>
-                        <label id="page-secutity-status-label"></label>
-                    </div>
-                    <image id="extras-function" class="urlbar-icon"></image>
-                </div>        
+      <panel id="${CONFIG.PANEL_ID}" type="arrow" noautohide="true" tabindex="-1" role="dialog" aria-label="Page Controls">
+        <div id="page-controls-panel-content"></div>
+        <div id="page-controls-subview" hidden="true">
+            <div id="page-controls-subview-header">
+                <image id="page-controls-subview-back" class="urlbar-icon" role="button" aria-label="Back" tooltiptext="Back" data-nav-row=""></image>
+                <label id="page-controls-subview-title"/>
             </div>
+            <div id="page-controls-subview-body"></div>
         </div>
       </panel>
     `;
   }
 
   /**
-   * Sets up event listeners for panel elements
+   * Sets up event listeners for panel elements by running each rendered
+   * section's setup hook
    */
   setupPanelEventListeners() {
-    const shareButton = document.querySelector(SELECTORS.SHARE_BUTTON);
-      if (shareButton) {
-        shareButton.addEventListener("click", (event) => {
-        this.shareCurrentUrl(event);
+    for (const sectionElement of this.panel.querySelectorAll("[data-section-id]")) {
+      const section = this.sections.get(sectionElement.getAttribute("data-section-id"));
+      if (!section) continue;
+
+      const header = sectionElement.querySelector(".page-controls-panel-section-label");
+      if (header) {
+        header.addEventListener("click", (event) => {
+          event.preventDefault();
+          event.stopPropagation();
+          this.toggleSectionCollapsed(section.id);
         });
       }
 
-    const addExtensionButton = document.querySelector(SELECTORS.ADD_EXTENSION_BUTTON);
-      if (addExtensionButton) {
-        addExtensionButton.addEventListener("click", (event) => {
-        this.openExtensionsPage(event);
-        });
+      if (typeof section.setup === "function") {
+        try {
+          section.setup(this, sectionElement);
+        } catch (error) {
+          logError("PanelManager", `Error setting up section ${section.id}`, error);
+        }
       }
-
-    const extrasFunction = document.querySelector("#extras-function");
-    if (extrasFunction) {
-      extrasFunction.addEventListener("click", (event) => {
-        event.preventDefault();
-        event.stopPropagation();
-        this.showExtrasContextMenu(event);
-      });
     }
 
-    const screenshotButton = document.querySelector("#screenshot-button");
-    if (screenshotButton) {
-      screenshotButton.addEventListener("click", (event) => {
+    this.setupSubviewListeners();
+    this.setupKeyboardNavigation();
+  }
+
+  /**
+   * Runs the refresh hook of every rendered, expanded section
+   */
+  refreshSections() {
+    if (!this.panel) return;
+
+    for (const sectionElement of this.panel.querySelectorAll("[data-section-id]")) {
+      if (sectionElement.getAttribute("section-collapsed") === "true") continue;
+      this.refreshSection(sectionElement);
+    }
+  }
+
+  /**
+   * Runs the refresh hook of a single rendered section
+   * @param {Element} sectionElement - The section element
+   */
+  refreshSection(sectionElement) {
+    const section = this.sections.get(sectionElement.getAttribute("data-section-id"));
+    if (!section || typeof section.refresh !== "function") return;
+
+    try {
+      section.refresh(this, sectionElement);
+    } catch (error) {
+      logError("PanelManager", `Error refreshing section ${section.id}`, error);
+    }
+  }
+
+  /**
+   * Collapses or expands a section and persists the state
+   * @param {string} sectionId - The section ID
+   */
+  toggleSectionCollapsed(sectionId) {
+    const collapsed = new Set(getPrefList(PREFS.SECTIONS_COLLAPSED));
+    const isCollapsed = !collapsed.has(sectionId);
+    isCollapsed ? collapsed.add(sectionId) : collapsed.delete(sectionId);
+
+    const sectionElement = this.panel && this.panel.querySelector(`[data-section-id="${sectionId}"]`);
+    if (sectionElement) {
+      sectionElement.setAttribute("section-collapsed", isCollapsed.toString());
+      const header = sectionElement.querySelector(".page-controls-panel-section-label");
+      if (header) {
+        header.setAttribute("aria-expanded", (!isCollapsed).toString());
+      }
+      if (!isCollapsed) {
+        this.refreshSection(sectionElement);
+      }
+    }
+
+    // The DOM already reflects the new state, so skip the rebuild this write triggers
+    this.ignoreNextPrefChange = true;
+    try {
+      setPrefList(PREFS.SECTIONS_COLLAPSED, [...collapsed]);
+    } finally {
+      this.ignoreNextPrefChange = false;
+    }
+    log("PanelManager", `Section ${sectionId} ${isCollapsed ? "collapsed" : "expanded"}`);
+  }
+
+  /**
+   * Watches the panel pref branch so the panel is rebuilt on its next open
+   * when its layout changes
+   */
+  setupPrefObserver() {
+    if (this.prefObserver) return;
+
+    this.prefObserver = {
+      observe: (subject, topic, prefName) => {
+        if (this.ignoreNextPrefChange) return;
+        log("PanelManager", `Pref changed: ${prefName}`);
+        if (prefName === PREFS.SHORTCUT) {
+          this.shortcut = parseShortcut(Services.prefs.getStringPref(PREFS.SHORTCUT, CONFIG.DEFAULT_SHORTCUT));
+          return;
+        }
+        // Extension tile prefs only change the tiles, which refresh in place
+        if (prefName.startsWith(PREFS.EXTENSIONS_BRANCH)) {
+          this.refreshExtensions();
+          return;
+        }
+        if (prefName.startsWith(PREFS.SHARE_BRANCH)) {
+          this.updateUrlCleaningPreview();
+          return;
+        }
+        // Other prefs are read when used, so only layout prefs need a rebuild
+        if (LAYOUT_PREFS.includes(prefName)) {
+          this.needsRebuild = true;
+        }
+      }
+    };
+
+    Services.prefs.addObserver(PREFS.BRANCH, this.prefObserver);
+  }
+
+  /**
+   * Per-section listener setup for the share section
+   */
+  setupShareSectionListeners() {
+    const shareButton = document.querySelector(SELECTORS.SHARE_BUTTON);
+    if (shareButton) {
+      shareButton.addEventListener("click", (event) => {
+        if (this.consumeLongPress(shareButton)) return;
+        this.shareCurrentUrl(event);
+      });
+      this.setupButtonMenu(shareButton, "showShareMenu");
+    }
+
+    this.panel.querySelector("#share-qr-button")?.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.showQRCode();
+    });
+
+    const cleanToggle = this.panel.querySelector("#share-clean-toggle");
+    cleanToggle?.addEventListener("command", () => {
+      this.setUrlCleaningEnabled(cleanToggle.checked);
+    });
+  }
+
+  /**
+   * Per-section listener setup for the page controls section
+   */
+  setupPageControlsSectionListeners() {
+    for (const button of this.panel.querySelectorAll("[data-quick-action]")) {
+      const actionId = button.getAttribute("data-quick-action");
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (button.hasAttribute("disabled") || this.consumeLongPress(button)) return;
+        this.runQuickAction(actionId, event);
+      });
+      if (QUICK_ACTIONS[actionId].menu) {
+        this.setupButtonMenu(button, QUICK_ACTIONS[actionId].menu);
+      }
+    }
+
+    this.renderRegisteredActions();
+  }
+
+  /**
+   * Per-section listener setup for the extensions section
+   */
+  setupExtensionSectionListeners() {
+    const addExtensionButton = document.querySelector(SELECTORS.ADD_EXTENSION_BUTTON);
+    if (addExtensionButton) {
+      addExtensionButton.addEventListener("click", (event) => {
+        this.openExtensionsPage(event);
+      });
+    }
+
+    const updateAllButton = document.querySelector("#extension-update-all");
+    if (updateAllButton) {
+      updateAllButton.addEventListener("click", (event) => {
         event.preventDefault();
         event.stopPropagation();
-        this.triggerScreenshotTool();
+        this.updateAllExtensions();
       });
     }
 
-    const devtoolsButton = document.querySelector("#devtools-button");
-    if (devtoolsButton) {
-      devtoolsButton.addEventListener("click", (event) => {
+    const overflowButton = document.querySelector(SELECTORS.EXTENSION_OVERFLOW_BUTTON);
+    if (overflowButton) {
+      overflowButton.addEventListener("click", (event) => {
         event.preventDefault();
         event.stopPropagation();
-        this.triggerDeveloperTools();
+        this.showExtensionOverflow();
       });
     }
 
-    const copyLinkButton = document.getElementById("copy-link-button");
-    if (copyLinkButton) {
-      copyLinkButton.addEventListener("click", (event) => {
+    const container = document.querySelector(SELECTORS.EXTENSION_CONTAINER);
+    if (container) {
+      this.setupExtensionDropTarget(container);
+    }
+  }
+
+  /**
+   * Per-section listener setup for the extras section
+   */
+  setupExtrasSectionListeners() {
+    const securityStatus = document.querySelector("#page-secutity-status");
+    if (securityStatus) {
+      securityStatus.addEventListener("click", (event) => {
         event.preventDefault();
         event.stopPropagation();
-        try {
-          if (window.ZenCommandPalette && typeof window.ZenCommandPalette.executeCommandByKey === "function") {
-            window.ZenCommandPalette.executeCommandByKey("cmd_zenCopyCurrentURL");
-          } else {
-            const cmd = document.getElementById("cmd_zenCopyCurrentURL");
-            if (cmd && typeof cmd.doCommand === "function") {
-              cmd.doCommand();
-            }
-          }
-        } catch (_) {}
-        this.hidePanel();
+        this.showSecurityDetails();
       });
     }
 
-    const readerButton = document.getElementById("reader-button");
-    if (readerButton) {
-      readerButton.addEventListener("click", (event) => {
+    const extrasFunction = document.querySelector("#extras-function");
+    if (extrasFunction) {
+      extrasFunction.addEventListener("click", (event) => {
         event.preventDefault();
         event.stopPropagation();
-        this.triggerReaderMode();
+        this.showExtrasContextMenu(event);
       });
     }
   }
@@ -295,20 +1472,27 @@ class PanelManager {
   /**
    * Shows the panel for the given target button
    * @param {Element} targetButton - The button that triggered the panel
+   * @param {Object} [options]
+   * @param {boolean} [options.focusFirstItem] - Focus the first control once shown, for keyboard opens; otherwise the panel takes focus
    */
-  showPanel(targetButton) {
-    if (!this.panel) {
+  showPanel(targetButton, { focusFirstItem = false } = {}) {
+    if (!this.panel || this.needsRebuild) {
       this.createPanel();
     }
 
     if (this.panel && targetButton) {
       this.setupAddonListenerIfNeeded();
-      this.loadExtensions();
-      this.updateSecurityStatus();
+      this.refreshSections();
+      // Mouse opens focus the panel itself, so accelerators reach it instead of the page
+      this.panel.addEventListener("popupshown", () => {
+        focusFirstItem ? this.focusFirstNavItem() : this.panel.focus();
+      }, { once: true });
       this.panel.openPopup(targetButton, "after_start", 0, 0, false, false);
       this.isOpen = true;
       this.lastAnchorButton = targetButton;
+      targetButton.setAttribute("aria-expanded", "true");
       this.addPanelGlobalHandlers();
+      this.notifyLifecycleListeners("open");
       log("PanelManager", "Panel opened");
     }
   }
@@ -318,9 +1502,24 @@ class PanelManager {
    */
   hidePanel() {
     if (this.panel && this.isOpen) {
+      const hadFocus = this.panel.contains(document.activeElement);
+      this.closeSubview();
       this.panel.hidePopup();
+      if (this.lastAnchorButton) {
+        this.lastAnchorButton.setAttribute("aria-expanded", "false");
+        if (hadFocus) {
+          this.lastAnchorButton.focus();
+        }
+      }
       this.isOpen = false;
       this.removePanelGlobalHandlers();
+      this.stopObservingExtensionActions();
+      // The crash has been reported in the panel, so stop flagging it
+      if (this.extensionProcessCrashed) {
+        this.extensionProcessCrashed = false;
+        this.updateExtensionHealth();
+      }
+      this.notifyLifecycleListeners("close");
       log("PanelManager", "Panel closed");
     }
   }
@@ -337,7 +1536,9 @@ class PanelManager {
         const target = event.target;
         const clickInsidePanel = this.panel.contains(target);
         const clickOnAnchor = this.lastAnchorButton && this.lastAnchorButton.contains && this.lastAnchorButton.contains(target);
-        if (!clickInsidePanel && !clickOnAnchor) {
+        // The panel's own menus live in #mainPopupSet, and their items may open subviews
+        const clickInPanelPopup = target.closest && target.closest(SELECTORS.PANEL_POPUP);
+        if (!clickInsidePanel && !clickOnAnchor && !clickInPanelPopup) {
           this.hidePanel();
         }
       } catch (_) {}
@@ -347,7 +1548,7 @@ class PanelManager {
       if (!this.panel || !this.isOpen) return;
       if (event.key === "Escape") {
         event.stopPropagation();
-        this.hidePanel();
+        this.activeSubview ? this.closeSubview() : this.hidePanel();
       }
     };
 
@@ -373,523 +1574,2072 @@ class PanelManager {
   /**
    * Toggles the panel visibility
    * @param {Element} targetButton - The button that triggered the toggle
+   * @param {Object} [options] - Options passed to showPanel()
    */
-  togglePanel(targetButton) {
-    this.isOpen ? this.hidePanel() : this.showPanel(targetButton);
+  togglePanel(targetButton, options) {
+    this.isOpen ? this.hidePanel() : this.showPanel(targetButton, options);
   }
 
   // ============================================================================
-  // SECURITY STATUS FUNCTIONALITY
+  // SUBVIEWS
   // ============================================================================
 
   /**
-   * Updates the security status icon based on the current page's security state
+   * Shows a subview in place of the panel's sections, with a back button
+   * @param {Object} subview - The subview definition
+   * @param {string} subview.id - Subview ID, set on the subview element for styling
+   * @param {string|Function} subview.title - Header title, or a function returning it
+   * @param {Function} subview.populate - Called with (bodyElement) to render the content; runs again on tab change
+   * @param {boolean} [subview.refreshOnTabChange] - Set to false to keep the content when the selected tab changes
    */
-  updateSecurityStatus() {
-    try {
-      const securityImage = document.querySelector("#page-secutity-status-image");
-      
-      if (!securityImage) {
-        log("PanelManager", "Security status image not found");
-        return;
-      }
+  showSubview(subview) {
+    if (!this.panel) return;
+
+    const content = this.panel.querySelector("#page-controls-panel-content");
+    const subviewElement = this.panel.querySelector("#page-controls-subview");
+    if (!content || !subviewElement) return;
+
+    const hadFocus = this.panel.contains(document.activeElement);
+    this.activeSubview = subview;
+    content.hidden = true;
+    subviewElement.hidden = false;
+    subviewElement.setAttribute("subview-id", subview.id);
+    this.renderSubview();
+
+    if (hadFocus) {
+      this.focusFirstNavItem();
+    }
+    log("PanelManager", `Subview opened: ${subview.id}`);
+  }
 
-      // Get the identity permission box to check for security indicators
-      const identityPermissionBox = document.getElementById("identity-permission-box");
-      if (!identityPermissionBox) {
-        log("PanelManager", "Identity permission box not found");
-        return;
-      }
+  /**
+   * Renders the active subview's title and content
+   */
+  renderSubview() {
+    const subview = this.activeSubview;
+    if (!subview || !this.panel) return;
 
-      // Check for sharing indicators first (active permissions)
-      const hasSharingIcon = identityPermissionBox.hasAttribute("hasSharingIcon");
-      const hasPermissions = identityPermissionBox.hasAttribute("hasPermissions");
-      
-      // Determine the appropriate icon based on the identity box state
-      let iconSrc = "chrome://browser/skin/zen-icons/info.svg"; // Default
-      
-      if (hasSharingIcon) {
-        // Active sharing (camera, microphone, location, etc.)
-        iconSrc = "chrome://browser/skin/zen-icons/shield-check.svg";
-      } else if (hasPermissions) {
-        // Has blocked permissions or other permission indicators
-        iconSrc = "chrome://browser/skin/zen-icons/shield-exclamation.svg";
-      } else {
-        // Check for HTTPS/security state
-        const uri = gBrowser.currentURI;
-        if (uri && uri.scheme === "https") {
-          iconSrc = "chrome://browser/skin/zen-icons/security.svg";
-        } else if (uri && uri.scheme === "http") {
-          iconSrc = "chrome://browser/skin/zen-icons/lock-open.svg";
-        }
-      }
-      
-      // Update the icon
-      securityImage.setAttribute("src", iconSrc);
-      
-      log("PanelManager", `Security status updated with icon: ${iconSrc}`);
+    const title = this.panel.querySelector("#page-controls-subview-title");
+    const body = this.panel.querySelector("#page-controls-subview-body");
+    if (!title || !body) return;
+
+    title.value = typeof subview.title === "function" ? subview.title() : subview.title;
+    body.replaceChildren();
+
+    try {
+      Promise.resolve(subview.populate(body)).catch((error) => {
+        logError("PanelManager", `Error populating subview ${subview.id}`, error);
+      });
     } catch (error) {
-      logError("PanelManager", "Error updating security status", error);
+      logError("PanelManager", `Error populating subview ${subview.id}`, error);
     }
   }
 
-  // ============================================================================
-  // SHARING FUNCTIONALITY
-  // ============================================================================
-
   /**
-   * Triggers the browser's built-in screenshot tool, mirroring the toolbar button
+   * Closes the active subview and returns to the panel's sections
    */
-  triggerScreenshotTool() {
-    const command = 'Browser:Screenshot'
-    const commandEl = document.getElementById(command)
-    if (commandEl && commandEl.doCommand) {
-      commandEl.doCommand()
+  closeSubview() {
+    if (!this.activeSubview || !this.panel) return;
+
+    const content = this.panel.querySelector("#page-controls-panel-content");
+    const subviewElement = this.panel.querySelector("#page-controls-subview");
+    const hadFocus = this.panel.contains(document.activeElement);
+    log("PanelManager", `Subview closed: ${this.activeSubview.id}`);
+
+    this.activeSubview = null;
+    subviewElement.hidden = true;
+    subviewElement.removeAttribute("subview-id");
+    this.panel.querySelector("#page-controls-subview-body").replaceChildren();
+    content.hidden = false;
+
+    if (hadFocus && this.isOpen) {
+      this.focusFirstNavItem();
     }
   }
 
   /**
-   * Triggers Reader View using the native browser command
+   * Sets up the subview back button
    */
-  triggerReaderMode() {
-    try {
-      const command = 'View:ReaderView';
-      const commandEl = document.getElementById(command);
-      if (commandEl && typeof commandEl.doCommand === 'function') {
-        commandEl.doCommand();
-      }
-    } catch (error) {
-      logError("PanelManager", "Error triggering reader mode", error);
+  setupSubviewListeners() {
+    const backButton = this.panel.querySelector("#page-controls-subview-back");
+    if (backButton) {
+      backButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.closeSubview();
+      });
     }
-    this.hidePanel();
   }
 
+  // ============================================================================
+  // KEYBOARD NAVIGATION
+  // ============================================================================
+
   /**
-   * Triggers the browser's built-in Developer Tools, mirroring the toolbar button
+   * Wires roving keyboard focus for the panel. Each [data-nav-row] element is
+   * a row of role="button" controls: Left/Right/Home/End move within a row,
+   * Tab and Up/Down move between rows, Enter/Space activate and the
+   * context-menu key opens the focused control's context menu.
    */
-  triggerDeveloperTools() {
-    try {
-      // Primary: open the Hamburger menu, then the Developer Tools subview via PanelUI
-      try {
-        if (typeof PanelUI !== 'undefined' && typeof PanelUI.showSubView === 'function') {
-          const viewId = 'PanelUI-developer-tools';
-          // Ensure the developer toggle is created so the subview exists
-          try {
-            const startup = Cc['@mozilla.org/devtools/startup-clh;1']?.getService()?.wrappedJSObject;
-            if (startup && typeof startup.hookDeveloperToggle === 'function') {
-              startup.hookDeveloperToggle();
-            }
-          } catch (_) {}
-
-          const anchor = document.getElementById('page-controls-button');
+  setupKeyboardNavigation() {
+    this.panel.addEventListener("keydown", (event) => this.onPanelKeyDown(event));
+  }
 
-          // Directly show the Developer Tools subview without opening the main menu
-          PanelUI.showSubView(viewId, anchor);
-          this.hidePanel();
-          return;
-        }
-      } catch (e) {
-        logError("PanelManager", "DevTools: PanelUI subview open failed", e);
-      }
+  /**
+   * Gets the navigable rows currently shown in the panel
+   * @returns {Array<Element>} Rows in document order
+   */
+  getNavRows() {
+    return [...this.panel.querySelectorAll("[data-nav-row]")]
+      .filter(row => this.getNavItems(row).length);
+  }
 
-      // Fallback: invoke the real toolbarbutton if available
-      const toolbarBtn = [...document.querySelectorAll('#developer-button')]
-        .find(el => el && (el.localName === 'toolbarbutton' || el.tagName === 'toolbarbutton'));
-      if (!toolbarBtn) {
-        log("PanelManager", "DevTools: toolbarbutton not found");
-      } else if (typeof toolbarBtn.doCommand === 'function') {
-        log("PanelManager", "DevTools: invoking via toolbarbutton.doCommand()");
-        toolbarBtn.doCommand();
-        this.hidePanel();
-        return;
-      } else if (typeof toolbarBtn.click === 'function') {
-        log("PanelManager", "DevTools: invoking via toolbarbutton.click()");
-        toolbarBtn.click();
-        this.hidePanel();
-        return;
-      } else {
-        log("PanelManager", "DevTools: toolbarbutton present but not invocable");
-      }
-    } catch (error) {
-      logError("PanelManager", "Error triggering Developer Tools", error);
-    }
-    this.hidePanel();
+  /**
+   * Gets the visible controls of a row
+   * @param {Element} row - The row element
+   * @returns {Array<Element>} Controls in document order
+   */
+  getNavItems(row) {
+    const items = row.matches(CONFIG.NAV_ITEM_SELECTOR)
+      ? [row]
+      : [...row.querySelectorAll(CONFIG.NAV_ITEM_SELECTOR)];
+    return items.filter(item => item.checkVisibility());
   }
 
   /**
-   * Shares the current URL using the zen sharing service
-   * @param {Event} event - The click event
+   * Moves focus to a control, remembering it as the row's current control
+   * @param {Element} item - The control to focus
    */
-  shareCurrentUrl(event) {
-    const currentUrl = gBrowser.currentURI.spec;
-    
-    if (!this.isValidUrl(currentUrl)) {
-      log("PanelManager", "Invalid URL for sharing:", currentUrl);
-      return;
+  focusNavItem(item) {
+    if (!item) return;
+    if (!item.hasAttribute("tabindex")) {
+      item.setAttribute("tabindex", "-1");
     }
-
-      const buttonRect = event.target.getBoundingClientRect();
-      Services.zen.share(
-        Services.io.newURI(currentUrl),
-        "",
-        "",
-        buttonRect.left,
-        window.innerHeight - buttonRect.bottom,
-        buttonRect.width,
-        buttonRect.height
-      );
-    
-    this.hidePanel();
+    const row = item.closest("[data-nav-row]");
+    if (row) {
+      this.navRowFocus.set(row, item);
+    }
+    item.focus();
   }
 
   /**
-   * Validates if a URL is shareable
-   * @param {string} url - The URL to validate
-   * @returns {boolean} True if valid, false otherwise
+   * Focuses a row's remembered control, or its first control
+   * @param {Element} row - The row element
    */
-  isValidUrl(url) {
-    return url && (url.startsWith("http://") || url.startsWith("https://"));
+  focusNavRow(row) {
+    if (!row) return;
+    const items = this.getNavItems(row);
+    const remembered = this.navRowFocus.get(row);
+    this.focusNavItem(items.includes(remembered) ? remembered : items[0]);
   }
 
-
-  // ============================================================================
-  // EXTENSIONS FUNCTIONALITY
-  // ============================================================================
-
   /**
-   * Opens the Firefox extensions page
-   * @param {Event} event - The click event
+   * Focuses the first control in the panel
    */
-  openExtensionsPage(event) {
-    if (typeof UC_API !== "undefined" && UC_API.Utils && UC_API.Utils.loadURI) {
-      UC_API.Utils.loadURI(window, {
-        url: CONFIG.EXTENSIONS_URL,
-        where: "tab",
-      });
-    }
-    this.hidePanel();
+  focusFirstNavItem() {
+    this.focusNavRow(this.getNavRows()[0]);
   }
 
   /**
-   * Sets up the AddonManager listener to detect extension changes
+   * Handles navigation and activation keys inside the panel
+   * @param {KeyboardEvent} event - The keydown event
    */
-  setupAddonListener() {
-    log("PanelManager", "Setting up AddonManager listener");
-    
-    this.addonListener = {
-      onEnabled: (addon) => {
-        log("PanelManager", `Extension enabled: ${addon.name}`);
-        this.refreshExtensions();
-      },
-      onDisabled: (addon) => {
-        log("PanelManager", `Extension disabled: ${addon.name}`);
-        this.refreshExtensions();
-      },
-      onInstalled: (addon) => {
-        log("PanelManager", `Extension installed: ${addon.name}`);
-        this.refreshExtensions();
-      },
-      onUninstalled: (addon) => {
-        log("PanelManager", `Extension uninstalled: ${addon.name}`);
-        this.refreshExtensions();
+  onPanelKeyDown(event) {
+    const rows = this.getNavRows();
+    if (!rows.length) return;
+
+    const item = event.target.closest && event.target.closest(CONFIG.NAV_ITEM_SELECTOR);
+    const row = item && item.closest("[data-nav-row]");
+    const rowIndex = rows.indexOf(row);
+    const inNativeControl = event.target.closest && event.target.closest("input, textarea, menulist");
+
+    const moveRow = (offset) => {
+      event.preventDefault();
+      if (rowIndex === -1) {
+        this.focusNavRow(offset > 0 ? rows[0] : rows[rows.length - 1]);
+        return;
       }
+      this.focusNavRow(rows[(rowIndex + offset + rows.length) % rows.length]);
     };
 
-    AddonManager.addAddonListener(this.addonListener);
-    log("PanelManager", "AddonManager listener added");
-  }
+    const moveItem = (getTarget) => {
+      event.preventDefault();
+      if (rowIndex === -1) {
+        this.focusFirstNavItem();
+        return;
+      }
+      const items = this.getNavItems(row);
+      this.focusNavItem(getTarget(items, items.indexOf(item)));
+    };
 
-  /**
-   * Sets up addon listener if not already set up
-   */
-  setupAddonListenerIfNeeded() {
-    if (!this.addonListener) {
-      this.setupAddonListener();
+    if (event.key === "Tab") {
+      moveRow(event.shiftKey ? -1 : 1);
+      return;
     }
-  }
+    if (inNativeControl) return;
 
-  /**
-   * Refreshes the extensions list (called when extensions change)
-   */
-  refreshExtensions() {
-    if (this.isOpen) {
-      log("PanelManager", "Refreshing extensions due to change");
-      this.loadExtensions();
+    if (this.runAccelerator(event)) {
+      event.preventDefault();
+      return;
     }
-  }
-
-  /**
-   * Loads and displays all user extensions
-   */
-  async loadExtensions() {
-    log("PanelManager", "Starting extension loading process");
 
-    try {
-      const addons = await AddonManager.getAddonsByTypes(["extension"]);
-      const userExtensions = addons.filter((a) => !a?.isSystem);
-
-      log("PanelManager", `Found ${userExtensions.length} user extensions`);
-
-      const container = document.querySelector(SELECTORS.EXTENSION_CONTAINER);
-      if (!container) {
-        log("PanelManager", "Extension container not found");
-        return;
-      }
-
-      this.processExtensions(container, userExtensions);
-      log("PanelManager", "Extension loading completed successfully");
-    } catch (error) {
-      logError("PanelManager", "Error in loadExtensions", error);
+    switch (event.key) {
+      case "ArrowDown":
+        moveRow(1);
+        break;
+      case "ArrowUp":
+        moveRow(-1);
+        break;
+      case "ArrowRight":
+        moveItem((items, index) => items[(index + 1) % items.length]);
+        break;
+      case "ArrowLeft":
+        moveItem((items, index) => items[(index - 1 + items.length) % items.length]);
+        break;
+      case "Home":
+        moveItem((items) => items[0]);
+        break;
+      case "End":
+        moveItem((items) => items[items.length - 1]);
+        break;
+      case "Enter":
+      case " ":
+        if (!item) return;
+        event.preventDefault();
+        if (item.getAttribute("aria-disabled") !== "true") {
+          this.dispatchSyntheticMouseEvent(item, "click");
+        }
+        break;
+      case "ContextMenu":
+      case "F10":
+        if (!item || (event.key === "F10" && !event.shiftKey)) return;
+        event.preventDefault();
+        this.dispatchSyntheticMouseEvent(item, "contextmenu");
+        break;
     }
   }
 
   /**
-   * Processes extensions and updates the container
-   * @param {Element} container - The container element
-   * @param {Array} userExtensions - Array of user extensions
+   * Dispatches a mouse event at the centre of a control so keyboard activation
+   * reaches the same handlers, and popups anchor at the same spot, as a click
+   * @param {Element} item - The control
+   * @param {string} type - "click" or "contextmenu"
    */
-  processExtensions(container, userExtensions) {
-    const existingExtensionIds = this.getExistingExtensionIds(container);
-      this.extensionData = new Map();
-
-      // Process each extension
-      for (const addon of userExtensions) {
-        const extensionId = addon.id;
-        const existingWrapper = container.querySelector(`[data-extension-id="${extensionId}"]`);
-        
-        if (existingWrapper) {
-          this.updateExistingExtension(existingWrapper, addon);
-        } else {
-          this.addNewExtension(container, addon);
-        }
-        
-        this.extensionData.set(extensionId, {
-          id: addon.id,
-          name: addon.name,
-          iconURL: addon.iconURL
-        });
-      }
-
-    // Remove uninstalled extensions
-    this.removeUninstalledExtensions(container, userExtensions);
+  dispatchSyntheticMouseEvent(item, type) {
+    const rect = item.getBoundingClientRect();
+    const clientX = rect.left + rect.width / 2;
+    const clientY = rect.top + rect.height / 2;
+
+    item.dispatchEvent(new MouseEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      view: window,
+      button: type === "contextmenu" ? 2 : 0,
+      clientX,
+      clientY,
+      screenX: window.mozInnerScreenX + clientX,
+      screenY: window.mozInnerScreenY + clientY
+    }));
   }
 
+  // ============================================================================
+  // SHORTCUTS AND ACCELERATORS
+  // ============================================================================
+
   /**
-   * Gets existing extension IDs from the container
-   * @param {Element} container - The container element
-   * @returns {Set} Set of existing extension IDs
+   * Checks whether single-key accelerators are enabled
+   * @returns {boolean} True if enabled
    */
-  getExistingExtensionIds(container) {
-    const existingExtensionIds = new Set();
-    [...container.querySelectorAll("[data-extension-id]")].forEach(el => {
-      const id = el.getAttribute("data-extension-id");
-      if (id) {
-        existingExtensionIds.add(id);
-      }
-    });
-    return existingExtensionIds;
+  areAcceleratorsEnabled() {
+    return Services.prefs.getBoolPref(PREFS.ACCELERATORS_ENABLED, true);
   }
 
   /**
-   * Removes extensions that are no longer installed
-   * @param {Element} container - The container element
-   * @param {Array} userExtensions - Array of current user extensions
+   * Appends an accelerator hint to a tooltip when accelerators are enabled
+   * @param {string} label - The tooltip text
+   * @param {string} [accelerator] - The accelerator key
+   * @returns {string} The tooltip text
    */
-  removeUninstalledExtensions(container, userExtensions) {
-      const currentExtensionIds = new Set(userExtensions.map(a => a.id));
-      [...container.querySelectorAll("[data-extension-id]")].forEach(el => {
-        const id = el.getAttribute("data-extension-id");
-        if (id && !currentExtensionIds.has(id)) {
-        log("PanelManager", `Removing uninstalled extension ${id}`);
-          el.remove();
-        }
-      });
+  withAcceleratorHint(label, accelerator) {
+    return accelerator && this.areAcceleratorsEnabled()
+      ? `${label} (${accelerator.toUpperCase()})`
+      : label;
   }
 
   /**
-   * Updates an existing extension element
-   * @param {Element} wrapper - The existing wrapper element
-   * @param {Object} addon - The addon data
+   * Generates the tooltip and accelerator attributes for a panel control
+   * @param {string} label - The control label
+   * @param {string} [accelerator] - The accelerator key
+   * @returns {string} XUL attribute markup
    */
-  updateExistingExtension(wrapper, addon) {
-    const img = wrapper.querySelector('.extension-icon');
-    if (img) {
-      img.setAttribute('enabled', addon.isActive.toString());
-      img.setAttribute('tooltiptext', this.getExtensionTooltip(addon));
-      
-      const iconSrc = this.getExtensionIconSrc(addon);
-      if (img.getAttribute('src') !== iconSrc) {
-        img.setAttribute('src', iconSrc);
-      }
+  getAcceleratorMarkup(label, accelerator) {
+    const tooltip = `tooltiptext="${escapeXML(this.withAcceleratorHint(label, accelerator))}"`;
+    if (!accelerator || !this.areAcceleratorsEnabled()) {
+      return tooltip;
     }
+    const key = escapeXML(accelerator.toUpperCase());
+    return `${tooltip} data-accelerator="${key}" aria-keyshortcuts="${key}"`;
   }
 
   /**
-   * Adds a new extension element
-   * @param {Element} container - The container element
-   * @param {Object} addon - The addon data
+   * Activates the visible control whose accelerator matches an unmodified key press
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {boolean} True if a control was activated
    */
-  addNewExtension(container, addon) {
-    try {
-      const wrapper = this.createExtensionWrapper(addon);
-      const img = this.createExtensionImage(addon);
-      
-      wrapper.appendChild(img);
-      this.setupExtensionClickHandler(wrapper, addon.id);
-      container.insertBefore(wrapper, container.firstChild);
-      
-      this.setupImageEventListeners(img, addon.name);
-    } catch (error) {
-      logError("PanelManager", "Failed to add extension icon", error);
+  runAccelerator(event) {
+    if (event.ctrlKey || event.altKey || event.metaKey || event.key.length !== 1) return false;
+    if (!this.areAcceleratorsEnabled()) return false;
+
+    const target = this.panel.querySelector(`[data-accelerator="${CSS.escape(event.key.toUpperCase())}"]`);
+    if (!target || !target.checkVisibility() || target.getAttribute("aria-disabled") === "true") {
+      return false;
     }
-  }
 
-  /**
-   * Creates a wrapper element for an extension
-   * @param {Object} addon - The addon data
-   * @returns {Element} The wrapper element
-   */
-  createExtensionWrapper(addon) {
-      const wrapper = document.createElement("div");
-      wrapper.className = "urlbar-icon extension-wrapper";
-      wrapper.setAttribute("data-extension-id", addon.id);
-    return wrapper;
+    log("PanelManager", `Accelerator ${event.key.toUpperCase()} pressed`);
+    this.dispatchSyntheticMouseEvent(target, "click");
+    return true;
   }
 
   /**
-   * Creates an image element for an extension
-   * @param {Object} addon - The addon data
-   * @returns {Element} The image element
+   * Listens for the global shortcut that opens the panel
    */
-  createExtensionImage(addon) {
-      const img = document.createXULElement("image");
-      img.className = "extension-icon";
-    img.setAttribute("src", this.getExtensionIconSrc(addon));
-      img.setAttribute("tooltiptext", this.getExtensionTooltip(addon));
-      img.setAttribute("enabled", addon.isActive.toString());
-    img.setAttribute("style", `width: ${CONFIG.ICON_SIZE}; height: ${CONFIG.ICON_SIZE}; margin: ${CONFIG.ICON_MARGIN};`);
-    return img;
+  setupGlobalShortcut() {
+    if (this.boundOnShortcutKeyDown) return;
+
+    this.shortcut = parseShortcut(Services.prefs.getStringPref(PREFS.SHORTCUT, CONFIG.DEFAULT_SHORTCUT));
+    this.boundOnShortcutKeyDown = (event) => {
+      if (!matchesShortcut(event, this.shortcut)) return;
+      event.preventDefault();
+      event.stopPropagation();
+      this.togglePanelFromShortcut();
+    };
+
+    window.addEventListener("keydown", this.boundOnShortcutKeyDown, true);
+    this.setupPrefObserver();
+    log("PanelManager", "Global shortcut listener added");
   }
 
   /**
-   * Gets the appropriate icon source for an extension
-   * @param {Object} addon - The addon data
-   * @returns {string} The icon source URL
+   * Toggles the panel anchored to the page controls button, or to the urlbar
+   * when the button is hidden (for example in compact mode)
    */
-  getExtensionIconSrc(addon) {
-    return addon.iconURL && typeof addon.iconURL === "string"
-      ? addon.iconURL
-      : CONFIG.FALLBACK_ICON;
+  togglePanelFromShortcut() {
+    const button = document.querySelector(SELECTORS.BUTTON);
+    const anchor = button && button.checkVisibility()
+      ? button
+      : document.getElementById(CONFIG.URLBAR_ID);
+
+    if (!anchor) {
+      log("PanelManager", "No anchor available for the panel shortcut");
+      return;
+    }
+    this.togglePanel(anchor, { focusFirstItem: true });
   }
 
+  // ============================================================================
+  // QUICK ACTIONS
+  // ============================================================================
+
   /**
-   * Sets up click handler for extension wrapper
-   * @param {Element} wrapper - The wrapper element
-   * @param {string} extensionId - The extension ID
+   * Gets the quick action IDs to show, in order. An explicitly empty pref
+   * leaves the row empty; an unset pref uses the default actions.
+   * @returns {Array<string>} Known quick action IDs
    */
-  setupExtensionClickHandler(wrapper, extensionId) {
-    // Left click handler
-    wrapper.addEventListener("click", (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      this.openExtensionPopup(extensionId);
-    });
-    
-    // Right click handler for context menu
-    wrapper.addEventListener("contextmenu", (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      this.showExtensionContextMenu(event, extensionId);
+  getQuickActionIds() {
+    const ids = Services.prefs.prefHasUserValue(PREFS.QUICK_ACTIONS)
+      ? getPrefList(PREFS.QUICK_ACTIONS)
+      : CONFIG.DEFAULT_QUICK_ACTIONS;
+
+    return ids.filter(id => {
+      if (!QUICK_ACTIONS[id]) {
+        log("PanelManager", `Unknown quick action in ${PREFS.QUICK_ACTIONS}: ${id}`);
+        return false;
+      }
+      return true;
     });
   }
 
   /**
-   * Sets up event listeners for extension image
-   * @param {Element} img - The image element
-   * @param {string} extensionName - The extension name
+   * Generates the XUL markup for the page controls row
+   * @returns {string} The XUL markup
    */
-  setupImageEventListeners(img, extensionName) {
-      img.addEventListener("load", () => {
-      log("PanelManager", `Image loaded successfully for ${extensionName}`);
+  generateQuickActionsXUL() {
+    const ids = this.getQuickActionIds();
+    const buttons = ids.map(id => {
+      const action = QUICK_ACTIONS[id];
+      const elementId = action.elementId || `quick-action-${id}`;
+      return `<image id="${elementId}" class="urlbar-icon quick-action" data-quick-action="${id}" role="button" aria-label="${action.label}" ${this.getAcceleratorMarkup(action.label, action.accelerator)}></image>`;
     });
 
-    img.addEventListener("error", () => {
-      log("PanelManager", `Image failed to load for ${extensionName}, using fallback`);
-      img.setAttribute("src", CONFIG.FALLBACK_ICON);
-    });
+    return `
+      <div id="page-controls-container" role="toolbar" aria-label="Page Controls" data-nav-row="">
+          ${buttons.join("\n          ")}
+      </div>`;
   }
 
   /**
-   * Gets the appropriate tooltip text for an extension
-   * @param {Object} addon - The addon data
-   * @returns {string} The tooltip text
+   * Runs a quick action through its handler or its browser command element
+   * @param {string} actionId - The quick action ID
+   * @param {Event} event - The triggering event
    */
-  getExtensionTooltip(addon) {
-    const extensionName = addon.name || 'Extension';
-    
-    if (addon.isActive) {
-      try {
-        const policy = WebExtensionPolicy.getByID(addon.id);
-        if (policy) {
-          const action = gUnifiedExtensions.browserActionFor(policy);
-          if (action) {
-            return `Open ${extensionName}`;
-          }
-        }
-      } catch (error) {
-        // Fall through to enable/disable logic
-      }
+  runQuickAction(actionId, event) {
+    const action = QUICK_ACTIONS[actionId];
+    if (!action) return;
+
+    log("PanelManager", `Running quick action ${actionId}`);
+
+    if (action.handler) {
+      this[action.handler](event);
+      return;
     }
-    
-    return addon.isActive ? `Disable ${extensionName}` : `Enable ${extensionName}`;
-  }
 
-  /**
-   * Opens the popup for a specific extension
-   * @param {string} extensionId - The ID of the extension to open popup for
-   */
-  async openExtensionPopup(extensionId) {
     try {
-      log("PanelManager", `Opening popup for extension ${extensionId}`);
-      
-      const policy = WebExtensionPolicy.getByID(extensionId);
-      
-      if (!policy) {
-        await this.toggleExtensionState(extensionId);
-          return;
-        }
-
-      const action = gUnifiedExtensions.browserActionFor(policy);
-      if (!action) {
-        await this.toggleExtensionState(extensionId);
-        return;
+      const commandEl = document.getElementById(action.command);
+      if (commandEl && typeof commandEl.doCommand === "function") {
+        commandEl.doCommand();
+      } else {
+        log("PanelManager", `Command ${action.command} not found for quick action ${actionId}`);
       }
-
-      action.openPopup(window, true);
-        this.hidePanel();
-      
-      log("PanelManager", `Successfully opened popup for extension ${extensionId}`);
     } catch (error) {
-      logError("PanelManager", `Error opening popup for extension ${extensionId}`, error);
+      logError("PanelManager", `Error running quick action ${actionId}`, error);
     }
+    this.hidePanel();
   }
 
   /**
-   * Toggles the enabled/disabled state of an extension
-   * @param {string} extensionId - The extension ID
+   * Mirrors the disabled state of each quick action's command element and
+   * switches the row to a grid when it holds more than four buttons
    */
-  async toggleExtensionState(extensionId) {
-        const addon = await AddonManager.getAddonByID(extensionId);
-        if (!addon) {
-      logError("PanelManager", `No addon found for extension ${extensionId}`);
-          return;
-        }
+  updateQuickActionStates() {
+    const container = this.panel && this.panel.querySelector("#page-controls-container");
+    if (!container) return;
+
+    for (const button of container.querySelectorAll("[data-quick-action]")) {
+      const action = QUICK_ACTIONS[button.getAttribute("data-quick-action")];
+      const commandEl = action && action.command && document.getElementById(action.command);
+      const disabled = !!commandEl && commandEl.getAttribute("disabled") === "true";
+      button.toggleAttribute("disabled", disabled);
+      button.setAttribute("aria-disabled", disabled.toString());
+    }
 
-    const newState = addon.isActive ? await addon.disable() : await addon.enable();
-    this.updateExtensionImageState(extensionId, !addon.isActive);
-        this.hidePanel();
-    
-    log("PanelManager", `${addon.isActive ? 'Enabled' : 'Disabled'} extension ${extensionId}`);
+    const buttonCount = container.querySelectorAll(".urlbar-icon").length;
+    container.toggleAttribute("grid", buttonCount > CONFIG.QUICK_ACTIONS_PER_ROW);
+  }
+
+  // ============================================================================
+  // SECURITY STATUS FUNCTIONALITY
+  // ============================================================================
+
+  /**
+   * Updates the security status icon and label based on the current page's
+   * connection and permission state
+   */
+  updateSecurityStatus() {
+    try {
+      const securityImage = document.querySelector("#page-secutity-status-image");
+      
+      if (!securityImage) {
+        log("PanelManager", "Security status image not found");
+        return;
+      }
+
+      // Get the identity permission box to check for security indicators
+      const identityPermissionBox = document.getElementById("identity-permission-box");
+      if (!identityPermissionBox) {
+        log("PanelManager", "Identity permission box not found");
+        return;
+      }
+
+      // Check for sharing indicators first (active permissions)
+      const hasSharingIcon = identityPermissionBox.hasAttribute("hasSharingIcon");
+      const hasPermissions = identityPermissionBox.hasAttribute("hasPermissions");
+      const connectionState = this.getConnectionState();
+      
+      // Determine the appropriate icon based on the identity box state
+      let iconSrc = CONNECTION_STATES[connectionState].icon;
+      
+      if (hasSharingIcon) {
+        // Active sharing (camera, microphone, location, etc.)
+        iconSrc = "chrome://browser/skin/zen-icons/shield-check.svg";
+      } else if (hasPermissions) {
+        // Has blocked permissions or other permission indicators
+        iconSrc = "chrome://browser/skin/zen-icons/shield-exclamation.svg";
+      }
+      
+      // Update the icon and the connection label
+      securityImage.setAttribute("src", iconSrc);
+
+      const status = document.querySelector("#page-secutity-status");
+      const label = document.querySelector("#page-secutity-status-label");
+      if (status) {
+        status.setAttribute("connection-state", connectionState);
+        status.setAttribute("aria-label", `${CONNECTION_STATES[connectionState].label}, show connection details`);
+      }
+      if (label) {
+        label.setAttribute("value", CONNECTION_STATES[connectionState].label);
+      }
+      
+      log("PanelManager", `Security status updated: ${connectionState} with icon: ${iconSrc}`);
+    } catch (error) {
+      logError("PanelManager", "Error updating security status", error);
+    }
+  }
+
+  /**
+   * Classifies the selected tab's connection
+   * @returns {string} A key of CONNECTION_STATES
+   */
+  getConnectionState() {
+    const browser = gBrowser.selectedBrowser;
+    const uri = gBrowser.currentURI;
+    const documentURI = browser.documentURI && browser.documentURI.spec;
+
+    if (documentURI && documentURI.startsWith("about:certerror")) {
+      return "broken-certificate";
+    }
+    if (!uri) {
+      return "internal";
+    }
+    if (uri.schemeIs("file")) {
+      return "local-file";
+    }
+    if (!uri.schemeIs("https") && !uri.schemeIs("http")) {
+      return "internal";
+    }
+
+    const state = browser.securityUI ? browser.securityUI.state : 0;
+    const { nsIWebProgressListener } = Ci;
+
+    if (state & nsIWebProgressListener.STATE_CERT_USER_OVERRIDDEN) {
+      return "broken-certificate";
+    }
+    if (state & nsIWebProgressListener.STATE_IS_BROKEN) {
+      return state & (nsIWebProgressListener.STATE_LOADED_MIXED_ACTIVE_CONTENT | nsIWebProgressListener.STATE_LOADED_MIXED_DISPLAY_CONTENT)
+        ? "mixed-content"
+        : "broken-certificate";
+    }
+    if (state & nsIWebProgressListener.STATE_IS_SECURE) {
+      return "secure";
+    }
+    return "not-secure";
+  }
+
+  /**
+   * Shows the connection details subview
+   */
+  showSecurityDetails() {
+    log("PanelManager", "Showing connection details");
+    this.showSubview({
+      id: "security-details",
+      title: () => CONNECTION_STATES[this.getConnectionState()].label,
+      populate: (body) => this.populateSecurityDetails(body)
+    });
+  }
+
+  /**
+   * Renders certificate, protocol and HSTS details for the selected tab
+   * @param {Element} body - The subview body
+   */
+  populateSecurityDetails(body) {
+    const connectionState = this.getConnectionState();
+    const host = gBrowser.currentURI && gBrowser.currentURI.displayHost;
+    appendXUL(body, `<description class="page-controls-subview-message">${escapeXML(CONNECTION_STATES[connectionState].description)}</description>`, null, true);
+
+    const secInfo = gBrowser.securityUI && gBrowser.securityUI.secInfo;
+    const cert = secInfo && secInfo.serverCert;
+    if (!cert) return;
+
+    const details = [
+      ["Site", host],
+      ["Issued to", cert.commonName || cert.subjectName],
+      ["Organization", cert.organization],
+      ["Issued by", cert.issuerOrganization || cert.issuerCommonName],
+      ["Valid from", cert.validity.notBeforeLocalDay],
+      ["Valid until", cert.validity.notAfterLocalDay],
+      ["Protocol", TLS_VERSIONS[secInfo.protocolVersion]],
+      ["Cipher", secInfo.cipherName],
+      ["HSTS", this.isHSTSHost() ? "Enabled" : "Not enabled"]
+    ].filter(([, value]) => value);
+
+    const rows = details.map(([name, value]) => `
+      <div class="page-security-detail">
+          <label class="page-security-detail-name" value="${escapeXML(name)}"/>
+          <label class="page-security-detail-value" value="${escapeXML(value)}" crop="center" tooltiptext="${escapeXML(value)}"/>
+      </div>`);
+    appendXUL(body, `<div id="page-security-details">${rows.join("")}</div>`, null, true);
+
+    appendXUL(body, `
+      <div id="page-security-view-certificate" class="page-controls-subview-button" role="button" data-nav-row="">
+          <label value="View Certificate"/>
+      </div>
+    `, null, true);
+
+    body.querySelector("#page-security-view-certificate").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.openCertificateViewer();
+    });
+  }
+
+  /**
+   * Checks whether the selected tab's host has an HSTS entry
+   * @returns {boolean} True if HSTS applies
+   */
+  isHSTSHost() {
+    try {
+      const siteSecurityService = Cc["@mozilla.org/ssservice;1"].getService(Ci.nsISiteSecurityService);
+      return siteSecurityService.isSecureURI(gBrowser.currentURI, gBrowser.contentPrincipal.originAttributes);
+    } catch (error) {
+      logError("PanelManager", "Error checking HSTS state", error);
+      return false;
+    }
+  }
+
+  /**
+   * Opens the full certificate viewer for the selected tab's certificate chain
+   */
+  openCertificateViewer() {
+    try {
+      const secInfo = gBrowser.securityUI && gBrowser.securityUI.secInfo;
+      if (!secInfo || !secInfo.serverCert) {
+        log("PanelManager", "No certificate to show");
+        return;
+      }
+
+      const chain = secInfo.succeededCertChain && secInfo.succeededCertChain.length
+        ? secInfo.succeededCertChain
+        : [secInfo.serverCert];
+      const certs = chain.map(cert => encodeURIComponent(cert.getBase64DERString()));
+      const principal = Services.scriptSecurityManager.getSystemPrincipal();
+      const newTab = gBrowser.addTab(`about:certificate?cert=${certs.join("&cert=")}`, { triggeringPrincipal: principal });
+
+      gBrowser.selectedTab = newTab;
+    } catch (error) {
+      logError("PanelManager", "Error opening certificate viewer", error);
+    }
+    this.hidePanel();
+  }
+
+  // ============================================================================
+  // SHARING FUNCTIONALITY
+  // ============================================================================
+
+  /**
+   * Triggers the browser's built-in screenshot tool, mirroring the toolbar button
+   */
+  triggerScreenshotTool() {
+    const command = 'Browser:Screenshot'
+    const commandEl = document.getElementById(command)
+    if (commandEl && commandEl.doCommand) {
+      commandEl.doCommand()
+    }
+  }
+
+  /**
+   * Triggers Reader View using the native browser command
+   */
+  triggerReaderMode() {
+    try {
+      const command = 'View:ReaderView';
+      const commandEl = document.getElementById(command);
+      if (commandEl && typeof commandEl.doCommand === 'function') {
+        commandEl.doCommand();
+      }
+    } catch (error) {
+      logError("PanelManager", "Error triggering reader mode", error);
+    }
+    this.hidePanel();
+  }
+
+  /**
+   * Triggers the browser's built-in Developer Tools, mirroring the toolbar button
+   */
+  triggerDeveloperTools() {
+    try {
+      // Primary: open the Hamburger menu, then the Developer Tools subview via PanelUI
+      try {
+        if (typeof PanelUI !== 'undefined' && typeof PanelUI.showSubView === 'function') {
+          const viewId = 'PanelUI-developer-tools';
+          // Ensure the developer toggle is created so the subview exists
+          try {
+            const startup = Cc['@mozilla.org/devtools/startup-clh;1']?.getService()?.wrappedJSObject;
+            if (startup && typeof startup.hookDeveloperToggle === 'function') {
+              startup.hookDeveloperToggle();
+            }
+          } catch (_) {}
+
+          const anchor = document.getElementById('page-controls-button');
+
+          // Directly show the Developer Tools subview without opening the main menu
+          PanelUI.showSubView(viewId, anchor);
+          this.hidePanel();
+          return;
+        }
+      } catch (e) {
+        logError("PanelManager", "DevTools: PanelUI subview open failed", e);
+      }
+
+      // Fallback: invoke the real toolbarbutton if available
+      const toolbarBtn = [...document.querySelectorAll('#developer-button')]
+        .find(el => el && (el.localName === 'toolbarbutton' || el.tagName === 'toolbarbutton'));
+      if (!toolbarBtn) {
+        log("PanelManager", "DevTools: toolbarbutton not found");
+      } else if (typeof toolbarBtn.doCommand === 'function') {
+        log("PanelManager", "DevTools: invoking via toolbarbutton.doCommand()");
+        toolbarBtn.doCommand();
+        this.hidePanel();
+        return;
+      } else if (typeof toolbarBtn.click === 'function') {
+        log("PanelManager", "DevTools: invoking via toolbarbutton.click()");
+        toolbarBtn.click();
+        this.hidePanel();
+        return;
+      } else {
+        log("PanelManager", "DevTools: toolbarbutton present but not invocable");
+      }
+    } catch (error) {
+      logError("PanelManager", "Error triggering Developer Tools", error);
+    }
+    this.hidePanel();
+  }
+
+  /**
+   * Copies the current URL, cleaned when URL cleaning is on. Uncleaned URLs
+   * go through Zen's copy URL command so its confirmation still shows.
+   */
+  copyCurrentUrl() {
+    try {
+      const shareUrl = this.getShareUrl();
+      if (shareUrl !== gBrowser.currentURI.spec) {
+        copyToClipboard(shareUrl);
+      } else if (window.ZenCommandPalette && typeof window.ZenCommandPalette.executeCommandByKey === "function") {
+        window.ZenCommandPalette.executeCommandByKey("cmd_zenCopyCurrentURL");
+      } else {
+        const cmd = document.getElementById("cmd_zenCopyCurrentURL");
+        if (cmd && typeof cmd.doCommand === "function") {
+          cmd.doCommand();
+        }
+      }
+    } catch (_) {}
+    this.hidePanel();
+  }
+
+  /**
+   * Shares the current URL with the native share sheet, or shows the share
+   * menu where there isn't one or the page can't be shared natively
+   * @param {Event} event - The click event
+   */
+  shareCurrentUrl(event) {
+    const button = event.currentTarget || document.querySelector(SELECTORS.SHARE_BUTTON);
+    if (!this.isValidUrl(gBrowser.currentURI.spec) || !this.hasNativeShare()) {
+      log("PanelManager", "Native sharing unavailable, showing share menu");
+      this.showShareMenu(button);
+      return;
+    }
+    this.shareNatively(button);
+  }
+
+  /**
+   * Validates if a URL is shareable
+   * @param {string} url - The URL to validate
+   * @returns {boolean} True if valid, false otherwise
+   */
+  isValidUrl(url) {
+    return url && (url.startsWith("http://") || url.startsWith("https://"));
+  }
+
+
+  // ============================================================================
+  // SCREENSHOTS
+  // ============================================================================
+
+  /**
+   * Shows the screenshot subview: capture modes, output options and the
+   * most recent captures
+   */
+  showScreenshotOptions() {
+    this.screenshotStatus = null;
+    this.showSubview({
+      id: "screenshot",
+      title: "Screenshot",
+      refreshOnTabChange: false,
+      populate: (body) => this.populateScreenshotOptions(body)
+    });
+  }
+
+  /**
+   * Gets the folder screenshots are saved to, defaulting to Downloads
+   * @returns {string} The folder path
+   */
+  getScreenshotFolder() {
+    const folder = Services.prefs.getStringPref(PREFS.SCREENSHOT_FOLDER, "");
+    if (folder) return folder;
+    try {
+      return Services.dirsvc.get("DfltDwnld", Ci.nsIFile).path;
+    } catch (_) {
+      return Services.dirsvc.get("Home", Ci.nsIFile).path;
+    }
+  }
+
+  /**
+   * Renders the screenshot modes, output options and recent captures
+   * @param {Element} body - The subview body
+   */
+  populateScreenshotOptions(body) {
+    const copy = Services.prefs.getBoolPref(PREFS.SCREENSHOT_COPY, true);
+    const save = Services.prefs.getBoolPref(PREFS.SCREENSHOT_SAVE, false);
+    const folder = this.getScreenshotFolder();
+    const template = Services.prefs.getStringPref(PREFS.SCREENSHOT_FILENAME, CONFIG.DEFAULT_SCREENSHOT_FILENAME);
+
+    const modes = SCREENSHOT_MODES.map(mode => `
+          <div class="screenshot-mode page-controls-subview-button" role="button" data-nav-row="" data-mode="${mode.id}">
+              <label value="${escapeXML(mode.label)}"/>
+          </div>`);
+    appendXUL(body, `
+      <div id="screenshot-modes">${modes.join("")}
+      </div>
+      <div id="screenshot-output">
+          <checkbox id="screenshot-copy" data-nav-row="" label="Copy to clipboard" checked="${copy}"/>
+          <checkbox id="screenshot-save" data-nav-row="" label="Save to folder" checked="${save}"/>
+          <hbox id="screenshot-folder-row" align="center" data-nav-row=""${save ? "" : ' hidden="true"'}>
+              <label id="screenshot-folder" value="${escapeXML(folder)}" crop="start" flex="1" tooltiptext="${escapeXML(folder)}"/>
+              <div id="screenshot-folder-button" role="button" aria-label="Choose folder">
+                  <label value="Change…"/>
+              </div>
+          </hbox>
+          <html:input id="screenshot-filename" data-nav-row="" type="text" value="${escapeXML(template)}" placeholder="${escapeXML(CONFIG.DEFAULT_SCREENSHOT_FILENAME)}" aria-label="File name" title="File name: {title}, {host}, {date}, {time} and {mode} are filled in"${save ? "" : ' hidden="true"'}/>
+      </div>
+    `, null, true);
+
+    appendXUL(body, `
+      <label id="screenshot-status" class="page-controls-subview-message" hidden="true"/>
+      <div id="screenshot-recent" hidden="true">
+          <label class="page-controls-subview-message" value="Recent"/>
+          <hbox id="screenshot-thumbnails" data-nav-row=""/>
+      </div>
+    `, null, true);
+    this.updateScreenshotStatus();
+    this.updateRecentScreenshots();
+
+    const onClick = (element, handler) => element.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      handler(event);
+    });
+    for (const button of body.querySelectorAll(".screenshot-mode")) {
+      onClick(button, () => this.takeScreenshot(button.getAttribute("data-mode")));
+    }
+    onClick(body.querySelector("#screenshot-folder-button"), () => this.chooseScreenshotFolder());
+
+    body.querySelector("#screenshot-copy").addEventListener("command", (event) => {
+      Services.prefs.setBoolPref(PREFS.SCREENSHOT_COPY, event.target.checked);
+    });
+    body.querySelector("#screenshot-save").addEventListener("command", (event) => {
+      Services.prefs.setBoolPref(PREFS.SCREENSHOT_SAVE, event.target.checked);
+      body.querySelector("#screenshot-folder-row").hidden = !event.target.checked;
+      body.querySelector("#screenshot-filename").hidden = !event.target.checked;
+    });
+    body.querySelector("#screenshot-filename").addEventListener("change", (event) => {
+      const value = event.target.value.trim();
+      value ? Services.prefs.setStringPref(PREFS.SCREENSHOT_FILENAME, value) : Services.prefs.clearUserPref(PREFS.SCREENSHOT_FILENAME);
+    });
+  }
+
+  /**
+   * Shows a result message in the screenshot subview
+   * @param {string} text - The message
+   * @param {boolean} failed - Whether the message reports a failure
+   */
+  setScreenshotStatus(text, failed = false) {
+    this.screenshotStatus = { text, failed };
+    this.updateScreenshotStatus();
+  }
+
+  /**
+   * Updates the screenshot subview's status label in place, so focus and
+   * unsaved edits in the subview survive
+   */
+  updateScreenshotStatus() {
+    const label = this.panel?.querySelector("#screenshot-status");
+    if (!label) return;
+    const status = this.screenshotStatus;
+    label.hidden = !status;
+    label.value = status ? status.text : "";
+    status && status.failed ? label.setAttribute("failed", "true") : label.removeAttribute("failed");
+  }
+
+  /**
+   * Fills the recent captures row of the screenshot subview
+   */
+  updateRecentScreenshots() {
+    const recent = this.panel?.querySelector("#screenshot-recent");
+    if (!recent) return;
+    const container = recent.querySelector("#screenshot-thumbnails");
+    container.replaceChildren();
+    recent.hidden = !this.recentScreenshots.length;
+
+    this.recentScreenshots.forEach((capture, index) => {
+      const canCopy = !!(capture.png || capture.path);
+      const thumbnail = appendXUL(container, `
+        <div class="screenshot-thumbnail" role="button" data-index="${index}" aria-disabled="${!canCopy}" aria-label="${escapeXML(`Copy ${capture.label}`)}" tooltiptext="${escapeXML(canCopy ? `${capture.label}\nClick to copy` : `${capture.label}\nToo large to keep; save screenshots to copy them again`)}">
+            <html:img src="${capture.thumbnail}" alt=""/>
+        </div>
+      `, null, true);
+      thumbnail.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.copyRecentScreenshot(index);
+      });
+    });
+  }
+
+  /**
+   * Lets the user pick the folder screenshots are saved to
+   */
+  chooseScreenshotFolder() {
+    const picker = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    picker.init(window.browsingContext, "Screenshot Folder", Ci.nsIFilePicker.modeGetFolder);
+    try {
+      const folder = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+      folder.initWithPath(this.getScreenshotFolder());
+      picker.displayDirectory = folder;
+    } catch (_) {}
+    picker.open(result => {
+      if (result !== Ci.nsIFilePicker.returnOK) return;
+      Services.prefs.setStringPref(PREFS.SCREENSHOT_FOLDER, picker.file.path);
+      const folderLabel = this.panel?.querySelector("#screenshot-folder");
+      if (folderLabel) {
+        folderLabel.value = picker.file.path;
+        folderLabel.setAttribute("tooltiptext", picker.file.path);
+      }
+    });
+  }
+
+  /**
+   * Captures the selected tab in a mode and sends it to the chosen outputs.
+   * Region and element selection hand over to the browser's own screenshot
+   * tool, which has its own copy and download buttons.
+   * @param {string} modeId - A SCREENSHOT_MODES ID
+   */
+  async takeScreenshot(modeId) {
+    const mode = SCREENSHOT_MODES.find(entry => entry.id === modeId);
+    if (!mode) return;
+    if (mode.id === "region") {
+      this.hidePanel();
+      this.triggerScreenshotTool();
+      return;
+    }
+
+    const copy = Services.prefs.getBoolPref(PREFS.SCREENSHOT_COPY, true);
+    const save = Services.prefs.getBoolPref(PREFS.SCREENSHOT_SAVE, false);
+    if (!copy && !save) {
+      this.setScreenshotStatus("Choose where the screenshot should go.", true);
+      return;
+    }
+
+    log("PanelManager", `Taking ${mode.id} screenshot`);
+    this.setScreenshotStatus("Capturing…");
+    let capture;
+    try {
+      capture = await this.captureScreenshot(gBrowser.selectedBrowser, mode.id === "full-page");
+    } catch (error) {
+      logError("PanelManager", `Error taking ${mode.id} screenshot`, error);
+      this.setScreenshotStatus("This page can't be captured.", true);
+      return;
+    }
+
+    const results = [];
+    try {
+      if (copy) {
+        copyImage(capture.png, "image/png");
+        results.push("Copied");
+      }
+      if (save) {
+        const path = await this.saveScreenshot(capture.png, mode);
+        results.push(`Saved ${PathUtils.filename(path)}`);
+        capture.path = path;
+      }
+    } catch (error) {
+      logError("PanelManager", "Error delivering screenshot", error);
+      this.setScreenshotStatus(results.length ? `${results.join(". ")}, but saving failed.` : "Couldn't copy or save the screenshot.", true);
+      return;
+    }
+
+    const uri = gBrowser.currentURI;
+    // Full-page captures can be huge, so large ones are only kept as their saved file
+    this.recentScreenshots.unshift({
+      png: capture.png.byteLength <= CONFIG.SCREENSHOT_MAX_KEPT_BYTES ? capture.png : null,
+      path: capture.path || null,
+      thumbnail: capture.thumbnail,
+      label: `${mode.label} of ${uri.displayHost || uri.spec}`
+    });
+    this.recentScreenshots.length = Math.min(this.recentScreenshots.length, CONFIG.SCREENSHOT_HISTORY_SIZE);
+    this.updateRecentScreenshots();
+    this.setScreenshotStatus(`${results.join(". ")}.`);
+  }
+
+  /**
+   * Draws a browser's visible area or whole page to PNG data, plus a small
+   * thumbnail for the recent captures list
+   * @param {Element} browser - The browser to capture
+   * @param {boolean} fullPage - Capture the whole page instead of the visible area
+   * @returns {Promise<Object>} { png: ArrayBuffer, thumbnail: data URL }
+   */
+  async captureScreenshot(browser, fullPage) {
+    const windowGlobal = browser.browsingContext.currentWindowGlobal;
+    let rect = null;
+    let scale = window.devicePixelRatio;
+    if (fullPage) {
+      const bounds = await windowGlobal.getActor("ScreenshotsComponent").sendQuery("Screenshots:getFullPageBounds");
+      rect = new DOMRect(bounds.left, bounds.top, bounds.width, bounds.height);
+      // Very long pages would exceed the canvas size limit at full resolution
+      scale = Math.min(scale, CONFIG.SCREENSHOT_MAX_DIMENSION / Math.max(bounds.width, bounds.height));
+    }
+    const bitmap = await windowGlobal.drawSnapshot(rect, scale, "rgb(255,255,255)", fullPage);
+
+    const canvas = document.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext("2d").drawImage(bitmap, 0, 0);
+
+    const thumbnailCanvas = document.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+    const thumbnailScale = CONFIG.SCREENSHOT_THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height);
+    thumbnailCanvas.width = Math.max(1, Math.round(bitmap.width * thumbnailScale));
+    thumbnailCanvas.height = Math.max(1, Math.round(bitmap.height * thumbnailScale));
+    thumbnailCanvas.getContext("2d").drawImage(bitmap, 0, 0, thumbnailCanvas.width, thumbnailCanvas.height);
+    bitmap.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+    return { png: await blob.arrayBuffer(), thumbnail: thumbnailCanvas.toDataURL("image/png") };
+  }
+
+  /**
+   * Saves a screenshot to the screenshot folder, named from the filename
+   * template and numbered if the name is taken
+   * @param {ArrayBuffer} png - The PNG data
+   * @param {Object} mode - The SCREENSHOT_MODES entry
+   * @returns {Promise<string>} The saved file's path
+   */
+  async saveScreenshot(png, mode) {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, "0");
+    const uri = gBrowser.currentURI;
+    const values = {
+      title: gBrowser.selectedTab.label || "",
+      host: uri.displayHost || uri.scheme,
+      date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+      time: `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`,
+      mode: mode.id
+    };
+    const template = Services.prefs.getStringPref(PREFS.SCREENSHOT_FILENAME, CONFIG.DEFAULT_SCREENSHOT_FILENAME);
+    const name = template
+      .replace(/\{(title|host|date|time|mode)\}/g, (match, key) => values[key])
+      .replace(/[\\/:*?"<>|\r\n]+/g, " ")
+      .trim()
+      .slice(0, 200) || "Screenshot";
+
+    const folder = this.getScreenshotFolder();
+    await IOUtils.makeDirectory(folder, { ignoreExisting: true });
+    let path = PathUtils.join(folder, `${name}.png`);
+    for (let copyNumber = 2; await IOUtils.exists(path); copyNumber++) {
+      path = PathUtils.join(folder, `${name} (${copyNumber}).png`);
+    }
+    await IOUtils.write(path, new Uint8Array(png));
+    log("PanelManager", `Saved screenshot to ${path}`);
+    return path;
+  }
+
+  /**
+   * Copies one of the recent captures to the clipboard again, reading it
+   * back from disk if it was too large to keep in memory
+   * @param {number} index - The capture's index in recentScreenshots
+   */
+  async copyRecentScreenshot(index) {
+    const capture = this.recentScreenshots[index];
+    if (!capture) return;
+    if (!capture.png && !capture.path) {
+      this.setScreenshotStatus("That capture was too large to keep. Save screenshots to copy them again.", true);
+      return;
+    }
+    try {
+      const png = capture.png || (await IOUtils.read(capture.path)).buffer;
+      copyImage(png, "image/png");
+      this.setScreenshotStatus(`Copied ${capture.label}.`);
+    } catch (error) {
+      logError("PanelManager", "Error copying recent screenshot", error);
+      this.setScreenshotStatus("Couldn't copy the screenshot.", true);
+    }
+  }
+
+  // ============================================================================
+  // SHARE TARGETS
+  // ============================================================================
+
+  /**
+   * Checks whether the platform has a native share sheet. Zen exposes
+   * Services.zen.share everywhere, but it only does something on macOS and
+   * Windows.
+   * @returns {boolean} True if native sharing works here
+   */
+  hasNativeShare() {
+    return typeof Services.zen?.share === "function"
+      && (AppConstants.platform === "macosx" || AppConstants.platform === "win");
+  }
+
+  /**
+   * Gets the user's "open with" share commands
+   * @returns {Array<Object>} Commands as { label, command, args }
+   */
+  getOpenWithCommands() {
+    let commands = [];
+    try {
+      commands = JSON.parse(Services.prefs.getStringPref(PREFS.SHARE_OPEN_WITH, "[]"));
+    } catch (error) {
+      logError("PanelManager", `Invalid JSON in ${PREFS.SHARE_OPEN_WITH}`, error);
+    }
+    if (!Array.isArray(commands)) return [];
+    return commands.filter(entry => entry && typeof entry.label === "string" && typeof entry.command === "string");
+  }
+
+  /**
+   * Shows the share menu: native sharing where it exists, then local
+   * targets. Pages that aren't on the web get an explanation and copy only.
+   * @param {Element} anchor - The element to anchor the menu to
+   */
+  showShareMenu(anchor) {
+    const popupSet = document.querySelector(SELECTORS.MAIN_POPUP_SET);
+    if (!popupSet) return;
+
+    document.querySelector("#share-menu")?.remove();
+    const items = [];
+    if (!this.isValidUrl(gBrowser.currentURI.spec)) {
+      const scheme = gBrowser.currentURI.scheme;
+      items.push(`
+        <menuitem disabled="true" label="${escapeXML(`${scheme}: pages can't be shared`)}"/>
+        <description class="share-menu-explanation">Only web pages (http and https) can be shared, emailed or opened elsewhere. You can still copy the address.</description>
+        <menuseparator/>
+        <menuitem data-share-target="copy" label="Copy Address"/>`);
+    } else {
+      if (this.hasNativeShare()) {
+        items.push(`
+        <menuitem data-share-target="native" label="Share…"/>
+        <menuseparator/>`);
+      }
+      items.push(`
+        <menuitem data-share-target="email" label="Email Link…"/>
+        <menuitem data-share-target="copy" label="Copy Link"/>
+        <menuitem data-share-target="qr" label="QR Code"/>
+        <menuitem data-share-target="shortcut" label="Save as Shortcut…"/>`);
+      const commands = this.getOpenWithCommands();
+      if (commands.length) {
+        items.push(`
+        <menuseparator/>`);
+        commands.forEach((entry, index) => items.push(`
+        <menuitem data-share-target="open-with" data-command-index="${index}" label="${escapeXML(entry.label)}"/>`));
+      }
+    }
+    appendXUL(popupSet, `
+      <menupopup id="share-menu" data-page-controls-popup="">${items.join("")}
+      </menupopup>
+    `, null, true);
+
+    const menu = document.querySelector("#share-menu");
+    menu.addEventListener("command", (event) => {
+      const target = event.target.getAttribute("data-share-target");
+      const targets = {
+        native: () => this.shareNatively(anchor),
+        email: () => this.emailCurrentUrl(),
+        copy: () => this.copyCurrentUrl(),
+        qr: () => this.showQRCode(),
+        shortcut: () => this.saveUrlShortcut(),
+        "open-with": () => this.openUrlWith(this.getOpenWithCommands()[event.target.getAttribute("data-command-index")])
+      };
+      targets[target]?.();
+    });
+    menu.openPopup(anchor, "after_start", 0, 0, true);
+  }
+
+  /**
+   * Opens the native share sheet for the current page
+   * @param {Element} anchor - The element the share sheet points at
+   */
+  shareNatively(anchor) {
+    try {
+      const buttonRect = anchor.getBoundingClientRect();
+      Services.zen.share(
+        Services.io.newURI(this.getShareUrl()),
+        "",
+        "",
+        buttonRect.left,
+        window.innerHeight - buttonRect.bottom,
+        buttonRect.width,
+        buttonRect.height
+      );
+    } catch (error) {
+      logError("PanelManager", "Error opening the native share sheet", error);
+    }
+    this.hidePanel();
+  }
+
+  /**
+   * Opens a new email with the current page's title and link
+   */
+  emailCurrentUrl() {
+    const subject = encodeURIComponent(gBrowser.selectedTab.label || "");
+    const body = encodeURIComponent(this.getShareUrl());
+    try {
+      Cc["@mozilla.org/uriloader/external-protocol-service;1"]
+        .getService(Ci.nsIExternalProtocolService)
+        .loadURI(Services.io.newURI(`mailto:?subject=${subject}&body=${body}`), Services.scriptSecurityManager.getSystemPrincipal());
+    } catch (error) {
+      logError("PanelManager", "Error opening an email for the link", error);
+    }
+    this.hidePanel();
+  }
+
+  /**
+   * Saves the current page as a desktop shortcut: a .desktop file on Linux
+   * and a .url file elsewhere
+   */
+  async saveUrlShortcut() {
+    const url = this.getShareUrl();
+    const title = gBrowser.selectedTab.label || new URL(url).hostname;
+    const isLinux = AppConstants.platform === "linux";
+    this.hidePanel();
+
+    const path = await pickSaveFile({
+      title: "Save as Shortcut",
+      defaultName: `${title.replace(/[\\/:*?"<>|\r\n]+/g, " ").trim().slice(0, 100) || "Shortcut"}${isLinux ? ".desktop" : ".url"}`,
+      filter: isLinux ? ["Desktop Entry", "*.desktop"] : ["Internet Shortcut", "*.url"]
+    });
+    if (!path) return;
+
+    const contents = isLinux
+      ? `[Desktop Entry]\nType=Link\nName=${title.replace(/[\r\n]+/g, " ")}\nURL=${url}\nIcon=text-html\n`
+      : `[InternetShortcut]\r\nURL=${url}\r\n`;
+    try {
+      await IOUtils.writeUTF8(path, contents);
+      log("PanelManager", `Saved shortcut to ${path}`);
+    } catch (error) {
+      logError("PanelManager", "Error saving shortcut", error);
+    }
+  }
+
+  /**
+   * Runs a user "open with" command for the current page. Arguments may use
+   * {url} and {title}.
+   * @param {Object} entry - The command, as { label, command, args }
+   */
+  openUrlWith(entry) {
+    if (!entry) return;
+    const values = { url: this.getShareUrl(), title: gBrowser.selectedTab.label || "" };
+    const args = (Array.isArray(entry.args) ? entry.args : ["{url}"])
+      .map(arg => String(arg).replace(/\{(url|title)\}/g, (match, name) => values[name]));
+
+    try {
+      const file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+      file.initWithPath(entry.command);
+      const process = Cc["@mozilla.org/process/util;1"].createInstance(Ci.nsIProcess);
+      process.init(file);
+      process.runwAsync(args, args.length);
+      log("PanelManager", `Opened link with ${entry.label}`);
+    } catch (error) {
+      logError("PanelManager", `Error running ${entry.command}`, error);
+    }
+    this.hidePanel();
+  }
+
+  // ============================================================================
+  // URL CLEANING
+  // ============================================================================
+
+  /**
+   * Gets the built-in URL cleaning rules followed by the user's rules
+   * @returns {Array<Object>} The rules
+   */
+  getUrlCleaningRules() {
+    let userRules = [];
+    try {
+      userRules = JSON.parse(Services.prefs.getStringPref(PREFS.CLEAN_URL_RULES, "[]"));
+    } catch (error) {
+      logError("PanelManager", `Invalid JSON in ${PREFS.CLEAN_URL_RULES}`, error);
+    }
+    if (!Array.isArray(userRules)) return URL_CLEANING_RULES;
+    return [...URL_CLEANING_RULES, ...userRules.filter(rule => rule && typeof rule === "object")];
+  }
+
+  /**
+   * Checks whether copy and share send cleaned URLs
+   * @returns {boolean} True if cleaning is on
+   */
+  isUrlCleaningEnabled() {
+    return Services.prefs.getBoolPref(PREFS.CLEAN_URLS, true);
+  }
+
+  /**
+   * Cleans the selected tab's URL with the current rules
+   * @returns {Object} { url, removed, unwrapped } from cleanUrl()
+   */
+  getCleanedPageUrl() {
+    return cleanUrl(gBrowser.currentURI.spec, this.getUrlCleaningRules());
+  }
+
+  /**
+   * Gets the URL copy and share should use: cleaned when cleaning is on
+   * @returns {string} The URL
+   */
+  getShareUrl() {
+    return this.isUrlCleaningEnabled() ? this.getCleanedPageUrl().url : gBrowser.currentURI.spec;
+  }
+
+  /**
+   * Updates the share section's clean link toggle and its preview of the
+   * cleaned URL, hiding both for pages that aren't on the web
+   */
+  updateUrlCleaningPreview() {
+    const row = this.panel?.querySelector(SELECTORS.SHARE_CLEAN_ROW);
+    if (!row) return;
+
+    const currentUrl = gBrowser.currentURI.spec;
+    if (!this.isValidUrl(currentUrl)) {
+      row.hidden = true;
+      return;
+    }
+    row.hidden = false;
+
+    const enabled = this.isUrlCleaningEnabled();
+    const result = this.getCleanedPageUrl();
+    const changed = result.url !== currentUrl;
+    row.querySelector("#share-clean-toggle").checked = enabled;
+
+    const preview = row.querySelector("#share-clean-preview");
+    preview.value = changed ? result.url : "Nothing to clean";
+    preview.toggleAttribute("changed", changed);
+    preview.toggleAttribute("disabled", !enabled);
+
+    const details = [];
+    if (result.unwrapped) details.push("Unwraps a redirect link");
+    if (result.removed.length) details.push(`Removes ${result.removed.join(", ")}`);
+    preview.setAttribute("tooltiptext", changed ? `${result.url}\n${details.join(". ")}` : "This link has no tracking parameters");
+  }
+
+  /**
+   * Turns URL cleaning for copy and share on or off
+   * @param {boolean} enabled - Whether to clean URLs
+   */
+  setUrlCleaningEnabled(enabled) {
+    Services.prefs.setBoolPref(PREFS.CLEAN_URLS, enabled);
+    log("PanelManager", `URL cleaning ${enabled ? "enabled" : "disabled"}`);
+  }
+
+  // ============================================================================
+  // QR CODE
+  // ============================================================================
+
+  /**
+   * Shows the current page's link as a QR code, encoded locally
+   */
+  showQRCode() {
+    this.showSubview({
+      id: "qr-code",
+      title: "QR Code",
+      populate: (body) => this.populateQRCode(body)
+    });
+  }
+
+  /**
+   * Renders the QR code for the link copy and share would use, with buttons
+   * to copy it or save it as PNG or SVG
+   * @param {Element} body - The subview body
+   */
+  populateQRCode(body) {
+    const url = this.getShareUrl();
+    if (!this.isValidUrl(url)) {
+      appendXUL(body, `<description class="page-controls-subview-message">QR codes are only available for web pages.</description>`, null, true);
+      return;
+    }
+
+    let qrCode;
+    try {
+      qrCode = encodeQRCode(url);
+    } catch (error) {
+      logError("PanelManager", "Error encoding QR code", error);
+      appendXUL(body, `<description class="page-controls-subview-message">This link is too long for a QR code.</description>`, null, true);
+      return;
+    }
+
+    appendXUL(body, `
+      <div id="qr-code">
+          <html:canvas id="qr-code-canvas" role="img" aria-label="${escapeXML(`QR code for ${url}`)}"/>
+          <label id="qr-code-url" value="${escapeXML(url)}" crop="center" tooltiptext="${escapeXML(url)}"/>
+          <label id="qr-code-status" class="page-controls-subview-message" hidden="true"/>
+      </div>
+      <div id="qr-code-copy" class="page-controls-subview-button" role="button" data-nav-row="">
+          <label value="Copy Image"/>
+      </div>
+      <hbox id="qr-code-save-row" data-nav-row="">
+          <div id="qr-code-save-png" class="page-controls-subview-button" role="button" flex="1">
+              <label value="Save PNG…"/>
+          </div>
+          <div id="qr-code-save-svg" class="page-controls-subview-button" role="button" flex="1">
+              <label value="Save SVG…"/>
+          </div>
+      </hbox>
+    `, null, true);
+    drawQRCode(body.querySelector("#qr-code-canvas"), qrCode, CONFIG.QR_MODULE_SIZE);
+
+    const actions = {
+      "qr-code-copy": () => this.copyQRCode(qrCode),
+      "qr-code-save-png": () => this.saveQRCode(qrCode, url, "png"),
+      "qr-code-save-svg": () => this.saveQRCode(qrCode, url, "svg")
+    };
+    for (const [id, action] of Object.entries(actions)) {
+      body.querySelector(`#${id}`).addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        action();
+      });
+    }
+  }
+
+  /**
+   * Shows a result message under the QR code
+   * @param {string} text - The message
+   * @param {boolean} failed - Whether the message reports a failure
+   */
+  setQRCodeStatus(text, failed = false) {
+    const status = this.panel?.querySelector("#qr-code-status");
+    if (!status) return;
+    status.value = text;
+    status.hidden = false;
+    failed ? status.setAttribute("failed", "true") : status.removeAttribute("failed");
+  }
+
+  /**
+   * Renders a QR code as PNG data at export resolution
+   * @param {Object} qrCode - The result of encodeQRCode()
+   * @returns {Promise<ArrayBuffer>} The PNG data
+   */
+  async getQRCodePNG(qrCode) {
+    const canvas = document.createElementNS("http://www.w3.org/1999/xhtml", "canvas");
+    drawQRCode(canvas, qrCode, CONFIG.QR_EXPORT_MODULE_SIZE);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+    return blob.arrayBuffer();
+  }
+
+  /**
+   * Copies a QR code to the clipboard as an image
+   * @param {Object} qrCode - The result of encodeQRCode()
+   */
+  async copyQRCode(qrCode) {
+    try {
+      copyImage(await this.getQRCodePNG(qrCode), "image/png");
+      this.setQRCodeStatus("Copied to clipboard.");
+    } catch (error) {
+      logError("PanelManager", "Error copying QR code", error);
+      this.setQRCodeStatus("Couldn't copy the QR code.", true);
+    }
+  }
+
+  /**
+   * Saves a QR code to a file the user picks
+   * @param {Object} qrCode - The result of encodeQRCode()
+   * @param {string} url - The encoded link, used for the default file name
+   * @param {string} format - "png" or "svg"
+   */
+  async saveQRCode(qrCode, url, format) {
+    const host = new URL(url).hostname.replace(/^www\./, "") || "page";
+    const path = await pickSaveFile({
+      title: "Save QR Code",
+      defaultName: `${host}-qr.${format}`,
+      filter: format === "png" ? ["PNG Image", "*.png"] : ["SVG Image", "*.svg"]
+    });
+    if (!path) return;
+
+    try {
+      if (format === "png") {
+        await IOUtils.write(path, new Uint8Array(await this.getQRCodePNG(qrCode)));
+      } else {
+        await IOUtils.writeUTF8(path, qrCodeToSVG(qrCode, CONFIG.QR_EXPORT_MODULE_SIZE));
+      }
+      log("PanelManager", `Saved QR code to ${path}`);
+      this.setQRCodeStatus(`Saved ${PathUtils.filename(path)}.`);
+    } catch (error) {
+      logError("PanelManager", "Error saving QR code", error);
+      this.setQRCodeStatus("Couldn't save the QR code.", true);
+    }
+  }
+
+  // ============================================================================
+  // COPY LINK FORMATS
+  // ============================================================================
+
+  /**
+   * Opens a button's menu on right-click or long-press
+   * @param {Element} button - The button
+   * @param {string} menuHandler - The PanelManager method that opens the menu
+   */
+  setupButtonMenu(button, menuHandler) {
+    let longPressTimer = null;
+    const cancelLongPress = () => {
+      clearTimeout(longPressTimer);
+      longPressTimer = null;
+    };
+
+    button.setAttribute("aria-haspopup", "menu");
+    button.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      cancelLongPress();
+      this[menuHandler](button);
+    });
+    button.addEventListener("pointerdown", (event) => {
+      if (event.button !== 0) return;
+      this.longPressedButton = null;
+      longPressTimer = setTimeout(() => {
+        this.longPressedButton = button;
+        this[menuHandler](button);
+      }, CONFIG.LONG_PRESS_MS);
+    });
+    button.addEventListener("pointerup", cancelLongPress);
+    // Releasing off the button sends no click, so the long-press has nothing to skip
+    button.addEventListener("pointerleave", () => {
+      cancelLongPress();
+      this.consumeLongPress(button);
+    });
+  }
+
+  /**
+   * Checks whether a click ends a long-press that opened the button's menu,
+   * so the button's click handler can skip its action. Clears the state.
+   * @param {Element} button - The button
+   * @returns {boolean} True if the click should be ignored
+   */
+  consumeLongPress(button) {
+    if (this.longPressedButton !== button) return false;
+    this.longPressedButton = null;
+    return true;
+  }
+
+  /**
+   * Gets the built-in copy formats followed by the user's templates
+   * @returns {Array<Object>} Formats as { id, label, template, html, rich }
+   */
+  getCopyFormats() {
+    let userTemplates = {};
+    try {
+      userTemplates = JSON.parse(Services.prefs.getStringPref(PREFS.COPY_TEMPLATES, "{}"));
+    } catch (error) {
+      logError("PanelManager", `Invalid JSON in ${PREFS.COPY_TEMPLATES}`, error);
+    }
+
+    const custom = Object.entries(userTemplates)
+      .filter(([, template]) => typeof template === "string")
+      .map(([label, template], index) => ({ id: `custom-${index}`, label, template, custom: true }));
+    return [...COPY_FORMATS, ...custom];
+  }
+
+  /**
+   * Fills a copy template's placeholders
+   * @param {string} template - Template with {title}, {url}, {host} and {selection}
+   * @param {Object} values - The placeholder values
+   * @param {boolean} html - Escape values for HTML
+   * @returns {string} The filled template
+   */
+  fillCopyTemplate(template, values, html = false) {
+    return template.replace(/\{(title|url|host|selection)\}/g, (match, name) => {
+      const value = values[name] || "";
+      return html ? escapeXML(value) : value;
+    });
+  }
+
+  /**
+   * Reads the text selected in the selected tab. The find bar's selection
+   * lookup is the one parent-side API for this, and it caps the text at
+   * 150 characters.
+   * @returns {Promise<string>} The selected text, or "" if none
+   */
+  getPageSelection() {
+    const finder = gBrowser.selectedBrowser.finder;
+    if (!finder) return Promise.resolve("");
+
+    return new Promise(resolve => {
+      const listener = {
+        onCurrentSelection: (selection) => done(selection || "")
+      };
+      const timeout = setTimeout(() => done(""), CONFIG.SELECTION_TIMEOUT_MS);
+      const done = (selection) => {
+        clearTimeout(timeout);
+        finder.removeResultListener(listener);
+        resolve(selection);
+      };
+      finder.addResultListener(listener);
+      finder.getInitialSelection();
+    });
+  }
+
+  /**
+   * Gets the values copy templates can use for the selected tab
+   * @param {boolean} includeSelection - Read the page selection too
+   * @returns {Promise<Object>} { title, url, host, selection }
+   */
+  async getCopyValues(includeSelection) {
+    const uri = gBrowser.currentURI;
+    const url = this.getShareUrl();
+    // Cleaning can unwrap a redirect, so take the host from the link being copied
+    const linkURI = url === uri.spec ? uri : Services.io.newURI(url);
+    return {
+      title: gBrowser.selectedTab.label || uri.spec,
+      url,
+      host: linkURI.displayHost || "",
+      selection: includeSelection ? await this.getPageSelection() : ""
+    };
+  }
+
+  /**
+   * Shows the copy link menu under a button
+   * @param {Element} anchor - The element to anchor the menu to
+   */
+  showCopyLinkMenu(anchor) {
+    const popupSet = document.querySelector(SELECTORS.MAIN_POPUP_SET);
+    if (!popupSet) return;
+
+    document.querySelector("#copy-link-menu")?.remove();
+    const formats = this.getCopyFormats();
+    const items = formats.map((format, index) => `
+        ${format.custom && !formats[index - 1].custom ? "<menuseparator/>" : ""}
+        <menuitem data-copy-format="${escapeXML(format.id)}" label="${escapeXML(format.label)}" tooltiptext="${escapeXML(format.template)}"/>`);
+    appendXUL(popupSet, `
+      <menupopup id="copy-link-menu" data-page-controls-popup="">${items.join("")}
+      </menupopup>
+    `, null, true);
+
+    const menu = document.querySelector("#copy-link-menu");
+    menu.addEventListener("command", (event) => {
+      const formatId = event.target.getAttribute("data-copy-format");
+      if (formatId) {
+        this.copyLinkAs(formatId);
+      }
+    });
+    menu.openPopup(anchor, "after_start", 0, 0, true);
+  }
+
+  /**
+   * Copies the selected tab's link in a format
+   * @param {string} formatId - A format ID from getCopyFormats()
+   */
+  async copyLinkAs(formatId) {
+    const format = this.getCopyFormats().find(entry => entry.id === formatId);
+    if (!format) return;
+
+    try {
+      const values = await this.getCopyValues(format.template.includes("{selection}"));
+      const text = this.fillCopyTemplate(format.template, values, format.html);
+      if (format.rich) {
+        copyRichText(this.fillCopyTemplate(RICH_TEXT_TEMPLATE, values, true), text);
+      } else {
+        copyToClipboard(text);
+      }
+      log("PanelManager", `Copied link as ${format.label}`);
+    } catch (error) {
+      logError("PanelManager", `Error copying link as ${format.label}`, error);
+    }
+    this.hidePanel();
+  }
+
+  // ============================================================================
+  // EXTENSIONS FUNCTIONALITY
+  // ============================================================================
+
+  /**
+   * Opens the Firefox extensions page
+   * @param {Event} event - The click event
+   */
+  openExtensionsPage(event) {
+    if (typeof UC_API !== "undefined" && UC_API.Utils && UC_API.Utils.loadURI) {
+      UC_API.Utils.loadURI(window, {
+        url: CONFIG.EXTENSIONS_URL,
+        where: "tab",
+      });
+    }
+    this.hidePanel();
+  }
+
+  /**
+   * Sets up the AddonManager listener to detect extension changes
+   */
+  setupAddonListener() {
+    log("PanelManager", "Setting up AddonManager listener");
+    
+    this.addonListener = {
+      onEnabled: (addon) => {
+        log("PanelManager", `Extension enabled: ${addon.name}`);
+        this.refreshExtensions();
+      },
+      onDisabled: (addon) => {
+        log("PanelManager", `Extension disabled: ${addon.name}`);
+        this.refreshExtensions();
+      },
+      onInstalled: (addon) => {
+        log("PanelManager", `Extension installed: ${addon.name}`);
+        this.refreshExtensions();
+      },
+      onUninstalled: (addon) => {
+        log("PanelManager", `Extension uninstalled: ${addon.name}`);
+        this.refreshExtensions();
+      }
+    };
+
+    AddonManager.addAddonListener(this.addonListener);
+    log("PanelManager", "AddonManager listener added");
+  }
+
+  /**
+   * Sets up addon listener if not already set up
+   */
+  setupAddonListenerIfNeeded() {
+    if (!this.addonListener) {
+      this.setupAddonListener();
+    }
+  }
+
+  /**
+   * Refreshes the extensions list (called when extensions change)
+   */
+  refreshExtensions() {
+    if (this.installListener) {
+      this.updateExtensionHealth();
+    }
+    if (this.isOpen) {
+      log("PanelManager", "Refreshing extensions due to change");
+      this.loadExtensions();
+    }
+  }
+
+  /**
+   * Loads and displays all user extensions
+   */
+  async loadExtensions() {
+    log("PanelManager", "Starting extension loading process");
+
+    try {
+      const addons = await AddonManager.getAddonsByTypes(["extension"]);
+      const userExtensions = addons.filter((a) => !a?.isSystem);
+
+      log("PanelManager", `Found ${userExtensions.length} user extensions`);
+
+      const container = document.querySelector(SELECTORS.EXTENSION_CONTAINER);
+      if (!container) {
+        log("PanelManager", "Extension container not found");
+        return;
+      }
+
+      this.processExtensions(container, userExtensions);
+      log("PanelManager", "Extension loading completed successfully");
+    } catch (error) {
+      logError("PanelManager", "Error in loadExtensions", error);
+    }
+  }
+
+  /**
+   * Processes extensions and updates the container
+   * @param {Element} container - The container element
+   * @param {Array} userExtensions - Array of user extensions
+   */
+  processExtensions(container, userExtensions) {
+    const existingExtensionIds = this.getExistingExtensionIds(container);
+    const overflowButton = container.querySelector(SELECTORS.EXTENSION_OVERFLOW_BUTTON);
+    // Moving a focused tile blurs it, so put focus back once tiles are in order
+    const focusedElement = container.contains(document.activeElement) ? document.activeElement : null;
+      this.extensionData = new Map();
+
+      // Process each extension in the saved order
+      for (const addon of this.sortExtensions(userExtensions)) {
+        const extensionId = addon.id;
+        const existingWrapper = container.querySelector(`[data-extension-id="${extensionId}"]`);
+        
+        if (existingWrapper) {
+          this.updateExistingExtension(existingWrapper, addon);
+          if (existingWrapper.nextElementSibling !== overflowButton) {
+            container.insertBefore(existingWrapper, overflowButton);
+          }
+        } else {
+          this.addNewExtension(container, addon, overflowButton);
+        }
+        
+        this.extensionData.set(extensionId, {
+          id: addon.id,
+          name: addon.name,
+          iconURL: addon.iconURL,
+          isActive: addon.isActive
+        });
+      }
+
+    // Remove uninstalled extensions
+    this.removeUninstalledExtensions(container, userExtensions);
+    this.layoutExtensionTiles(container);
+
+    if (focusedElement && focusedElement.isConnected && document.activeElement !== focusedElement) {
+      focusedElement.focus();
+    }
+
+    if (this.isOpen) {
+      this.observeExtensionActions();
+    }
+  }
+
+  /**
+   * Gets existing extension IDs from the container
+   * @param {Element} container - The container element
+   * @returns {Set} Set of existing extension IDs
+   */
+  getExistingExtensionIds(container) {
+    const existingExtensionIds = new Set();
+    [...container.querySelectorAll("[data-extension-id]")].forEach(el => {
+      const id = el.getAttribute("data-extension-id");
+      if (id) {
+        existingExtensionIds.add(id);
+      }
+    });
+    return existingExtensionIds;
+  }
+
+  /**
+   * Removes extensions that are no longer installed
+   * @param {Element} container - The container element
+   * @param {Array} userExtensions - Array of current user extensions
+   */
+  removeUninstalledExtensions(container, userExtensions) {
+      const currentExtensionIds = new Set(userExtensions.map(a => a.id));
+      [...container.querySelectorAll("[data-extension-id]")].forEach(el => {
+        const id = el.getAttribute("data-extension-id");
+        if (id && !currentExtensionIds.has(id)) {
+        log("PanelManager", `Removing uninstalled extension ${id}`);
+          el.remove();
+        }
+      });
+  }
+
+  /**
+   * Updates an existing extension element
+   * @param {Element} wrapper - The existing wrapper element
+   * @param {Object} addon - The addon data
+   */
+  updateExistingExtension(wrapper, addon) {
+    const img = wrapper.querySelector('.extension-icon');
+    if (img) {
+      img.setAttribute('enabled', addon.isActive.toString());
+      img.setAttribute('tooltiptext', this.getExtensionTooltip(addon));
+      wrapper.setAttribute('aria-label', this.getExtensionTooltip(addon));
+      
+      const iconSrc = this.getExtensionIconSrc(addon);
+      if (img.getAttribute('src') !== iconSrc) {
+        img.setAttribute('src', iconSrc);
+      }
+    }
+    this.updateExtensionSiteAccess(wrapper, addon);
+    this.updateExtensionActionState(wrapper, addon);
+  }
+
+  /**
+   * Adds a new extension element
+   * @param {Element} container - The container element
+   * @param {Object} addon - The addon data
+   * @param {Element|null} insertBefore - Element to insert the tile before
+   */
+  addNewExtension(container, addon, insertBefore) {
+    try {
+      const wrapper = this.createExtensionWrapper(addon);
+      const img = this.createExtensionImage(addon);
+      
+      wrapper.appendChild(img);
+      this.updateExtensionSiteAccess(wrapper, addon);
+      this.updateExtensionActionState(wrapper, addon);
+      this.setupExtensionClickHandler(wrapper, addon.id);
+      this.setupExtensionDragHandlers(wrapper, addon.id);
+      container.insertBefore(wrapper, insertBefore);
+      
+      this.setupImageEventListeners(img, addon.name);
+    } catch (error) {
+      logError("PanelManager", "Failed to add extension icon", error);
+    }
+  }
+
+  /**
+   * Creates a wrapper element for an extension
+   * @param {Object} addon - The addon data
+   * @returns {Element} The wrapper element
+   */
+  createExtensionWrapper(addon) {
+      const wrapper = document.createElement("div");
+      wrapper.className = "urlbar-icon extension-wrapper";
+      wrapper.setAttribute("data-extension-id", addon.id);
+      wrapper.setAttribute("role", "button");
+      wrapper.setAttribute("aria-label", this.getExtensionTooltip(addon));
+      wrapper.setAttribute("draggable", "true");
+    return wrapper;
+  }
+
+  /**
+   * Creates an image element for an extension
+   * @param {Object} addon - The addon data
+   * @returns {Element} The image element
+   */
+  createExtensionImage(addon) {
+      const img = document.createXULElement("image");
+      img.className = "extension-icon";
+    img.setAttribute("src", this.getExtensionIconSrc(addon));
+      img.setAttribute("tooltiptext", this.getExtensionTooltip(addon));
+      img.setAttribute("enabled", addon.isActive.toString());
+    img.setAttribute("style", `width: ${CONFIG.ICON_SIZE}; height: ${CONFIG.ICON_SIZE}; margin: ${CONFIG.ICON_MARGIN};`);
+    return img;
+  }
+
+  /**
+   * Gets the appropriate icon source for an extension
+   * @param {Object} addon - The addon data
+   * @returns {string} The icon source URL
+   */
+  getExtensionIconSrc(addon) {
+    return addon.iconURL && typeof addon.iconURL === "string"
+      ? addon.iconURL
+      : CONFIG.FALLBACK_ICON;
+  }
+
+  /**
+   * Sets up click handler for extension wrapper
+   * @param {Element} wrapper - The wrapper element
+   * @param {string} extensionId - The extension ID
+   */
+  setupExtensionClickHandler(wrapper, extensionId) {
+    // Left click runs the extension's action; Shift+click enables or disables it
+    wrapper.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.shiftKey) {
+        this.toggleExtensionState(extensionId);
+      } else {
+        this.triggerExtensionAction(extensionId, event);
+      }
+    });
+    
+    // Right click handler for context menu
+    wrapper.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.showExtensionContextMenu(event, extensionId);
+    });
+  }
+
+  /**
+   * Sets up event listeners for extension image
+   * @param {Element} img - The image element
+   * @param {string} extensionName - The extension name
+   */
+  setupImageEventListeners(img, extensionName) {
+      img.addEventListener("load", () => {
+      log("PanelManager", `Image loaded successfully for ${extensionName}`);
+    });
+
+    img.addEventListener("error", () => {
+      log("PanelManager", `Image failed to load for ${extensionName}, using fallback`);
+      img.setAttribute("src", CONFIG.FALLBACK_ICON);
+    });
+  }
+
+  /**
+   * Gets the appropriate tooltip text for an extension
+   * @param {Object} addon - The addon data
+   * @returns {string} The tooltip text
+   */
+  getExtensionTooltip(addon) {
+    const extensionName = addon.name || 'Extension';
+    
+    if (!addon.isActive) {
+      return `${extensionName} (Disabled)`;
+    }
+    return this.getExtensionAction(addon.id) ? `Open ${extensionName}` : extensionName;
+  }
+
+  /**
+   * Runs an extension's toolbar action as a toolbar click would: opens its
+   * popup when it has one for this tab, otherwise grants activeTab and fires
+   * its onClicked event. Extensions that are disabled or have no action get
+   * their context menu instead, so a click never changes their state.
+   * @param {string} extensionId - The extension ID
+   * @param {MouseEvent} event - The click event
+   */
+  async triggerExtensionAction(extensionId, event) {
+    try {
+      log("PanelManager", `Triggering action for extension ${extensionId}`);
+
+      const action = this.getExtensionAction(extensionId);
+      const source = action && this.getActionSource(action);
+      if (!source) {
+        log("PanelManager", `Extension ${extensionId} is disabled or has no action`);
+        this.showExtensionContextMenu(event, extensionId);
+        return;
+      }
+
+      const tab = gBrowser.selectedTab;
+      const data = source.getContextData(tab);
+      if (data.enabled === false) {
+        log("PanelManager", `Action for extension ${extensionId} is disabled on this tab`);
+        return;
+      }
+
+      const popupUrl = typeof source.getPopupUrl === "function" ? source.getPopupUrl(tab) : data.popup;
+      if (popupUrl) {
+        action.openPopup(window, true);
+      } else {
+        const policy = WebExtensionPolicy.getByID(extensionId);
+        policy.extension.tabManager.addActiveTabPermission(tab);
+        source.dispatchClick(tab, { button: event.button, modifiers: this.getClickModifiers(event) });
+      }
+      this.hidePanel();
+
+      log("PanelManager", `Triggered ${popupUrl ? "popup" : "click"} for extension ${extensionId}`);
+    } catch (error) {
+      logError("PanelManager", `Error triggering action for extension ${extensionId}`, error);
+    }
+  }
+
+  /**
+   * Lists the held modifiers in the form extension onClicked listeners expect
+   * @param {MouseEvent} event - The click event
+   * @returns {Array<string>} Modifier names
+   */
+  getClickModifiers(event) {
+    const modifiers = [];
+    if (event.shiftKey) modifiers.push("Shift");
+    if (event.altKey) modifiers.push("Alt");
+    if (event.metaKey) modifiers.push("Command");
+    if (event.ctrlKey) {
+      modifiers.push(AppConstants.platform === "macosx" ? "MacCtrl" : "Ctrl");
+    }
+    return modifiers;
+  }
+
+  /**
+   * Toggles the enabled/disabled state of an extension
+   * @param {string} extensionId - The extension ID
+   */
+  async toggleExtensionState(extensionId) {
+    try {
+      const addon = await AddonManager.getAddonByID(extensionId);
+      if (!addon) {
+        logError("PanelManager", `No addon found for extension ${extensionId}`);
+        return;
+      }
+
+      const wasActive = addon.isActive;
+      wasActive ? await addon.disable() : await addon.enable();
+      this.updateExtensionImageState(extensionId, !wasActive);
+
+      log("PanelManager", `${wasActive ? 'Disabled' : 'Enabled'} extension ${extensionId}`);
+    } catch (error) {
+      logError("PanelManager", `Error toggling extension ${extensionId}`, error);
+    }
   }
 
   /**
@@ -897,552 +3647,3426 @@ class PanelManager {
    * @param {string} extensionId - The ID of the extension
    * @param {boolean} isEnabled - Whether the extension is enabled
    */
-  async updateExtensionImageState(extensionId, isEnabled) {
-    const extensionWrapper = document.querySelector(`[data-extension-id="${extensionId}"]`);
-    if (extensionWrapper) {
-      const image = extensionWrapper.querySelector('.extension-icon');
-      if (image) {
-        image.setAttribute('enabled', isEnabled.toString());
-        
+  async updateExtensionImageState(extensionId, isEnabled) {
+    const extensionWrapper = document.querySelector(`[data-extension-id="${extensionId}"]`);
+    if (extensionWrapper) {
+      const image = extensionWrapper.querySelector('.extension-icon');
+      if (image) {
+        image.setAttribute('enabled', isEnabled.toString());
+        
+        try {
+          const addon = await AddonManager.getAddonByID(extensionId);
+          if (addon) {
+            const tempAddon = { ...addon, isActive: isEnabled };
+            const tooltipText = this.getExtensionTooltip(tempAddon);
+            image.setAttribute('tooltiptext', tooltipText);
+            extensionWrapper.setAttribute('aria-label', tooltipText);
+          }
+        } catch (error) {
+          logError("PanelManager", `Error updating tooltip for extension ${extensionId}`, error);
+        }
+      }
+    }
+  }
+
+  // ============================================================================
+  // EXTENSION TILE ORDER AND OVERFLOW
+  // ============================================================================
+
+  /**
+   * Sorts extensions by the saved tile order. Extensions missing from the
+   * order follow the ordered ones, alphabetically.
+   * @param {Array} userExtensions - The extensions to sort
+   * @returns {Array} A sorted copy
+   */
+  sortExtensions(userExtensions) {
+    const order = getPrefList(PREFS.EXTENSION_ORDER);
+    const rank = (addon) => {
+      const index = order.indexOf(addon.id);
+      return index === -1 ? order.length : index;
+    };
+    return [...userExtensions].sort((a, b) =>
+      rank(a) - rank(b) || (a.name || "").localeCompare(b.name || ""));
+  }
+
+  /**
+   * Gets how many tiles fit before the add button, from the rows pref
+   * @returns {number} The tile capacity
+   */
+  getExtensionTileCapacity() {
+    const rows = Math.max(1, Services.prefs.getIntPref(PREFS.EXTENSION_ROWS, 1));
+    return rows * CONFIG.EXTENSION_TILES_PER_ROW - 1;
+  }
+
+  /**
+   * Hides tiles the user hid and tiles past the row capacity, and shows the
+   * "more" tile when any extension is left out
+   * @param {Element} container - The extension container
+   */
+  layoutExtensionTiles(container) {
+    const hiddenIds = new Set(getPrefList(PREFS.EXTENSIONS_HIDDEN));
+    const wrappers = [...container.querySelectorAll(".extension-wrapper")];
+    const shownCount = wrappers.filter(wrapper => !hiddenIds.has(wrapper.getAttribute("data-extension-id"))).length;
+    const capacity = this.getExtensionTileCapacity();
+    const needsOverflow = shownCount > capacity || shownCount < wrappers.length;
+    const tileLimit = needsOverflow ? capacity - 1 : capacity;
+
+    let tileCount = 0;
+    for (const wrapper of wrappers) {
+      const userHidden = hiddenIds.has(wrapper.getAttribute("data-extension-id"));
+      wrapper.toggleAttribute("user-hidden", userHidden);
+      wrapper.hidden = userHidden || tileCount >= tileLimit;
+      if (!userHidden) {
+        tileCount++;
+      }
+    }
+
+    const overflowButton = container.querySelector(SELECTORS.EXTENSION_OVERFLOW_BUTTON);
+    if (overflowButton) {
+      const leftOut = wrappers.filter(wrapper => wrapper.hidden).length;
+      overflowButton.hidden = !needsOverflow;
+      overflowButton.setAttribute("tooltiptext", `${leftOut} More Extension${leftOut === 1 ? "" : "s"}`);
+      overflowButton.setAttribute("aria-label", overflowButton.getAttribute("tooltiptext"));
+    }
+  }
+
+  /**
+   * Moves an extension next to another in the saved tile order
+   * @param {string} extensionId - The extension to move
+   * @param {string} targetId - The extension to move it next to
+   * @param {boolean} placeBefore - True to place it before the target, false after
+   */
+  moveExtension(extensionId, targetId, placeBefore) {
+    const ids = [...this.extensionData.keys()];
+    if (extensionId === targetId || !ids.includes(extensionId) || !ids.includes(targetId)) return;
+
+    ids.splice(ids.indexOf(extensionId), 1);
+    ids.splice(ids.indexOf(targetId) + (placeBefore ? 0 : 1), 0, extensionId);
+    setPrefList(PREFS.EXTENSION_ORDER, ids);
+    log("PanelManager", `Moved extension ${extensionId} ${placeBefore ? "before" : "after"} ${targetId}`);
+  }
+
+  /**
+   * Moves an extension one place among the tiles shown in the panel
+   * @param {string} extensionId - The extension to move
+   * @param {number} offset - -1 to move left, 1 to move right
+   */
+  moveExtensionBy(extensionId, offset) {
+    const container = document.querySelector(SELECTORS.EXTENSION_CONTAINER);
+    if (!container) return;
+
+    const shownIds = [...container.querySelectorAll(".extension-wrapper:not([user-hidden])")]
+      .map(wrapper => wrapper.getAttribute("data-extension-id"));
+    const targetId = shownIds[shownIds.indexOf(extensionId) + offset];
+    if (targetId) {
+      this.moveExtension(extensionId, targetId, offset < 0);
+    }
+  }
+
+  /**
+   * Makes an extension tile draggable, and movable with Alt+Left/Right
+   * @param {Element} wrapper - The extension wrapper element
+   * @param {string} extensionId - The extension ID
+   */
+  setupExtensionDragHandlers(wrapper, extensionId) {
+    wrapper.addEventListener("dragstart", (event) => {
+      event.dataTransfer.setData(CONFIG.EXTENSION_DRAG_TYPE, extensionId);
+      event.dataTransfer.effectAllowed = "move";
+      wrapper.setAttribute("dragging", "true");
+    });
+
+    wrapper.addEventListener("dragend", () => {
+      wrapper.removeAttribute("dragging");
+      this.clearExtensionDropMarkers();
+    });
+
+    wrapper.addEventListener("keydown", (event) => {
+      if (!event.altKey || (event.key !== "ArrowLeft" && event.key !== "ArrowRight")) return;
+      event.preventDefault();
+      event.stopPropagation();
+      this.moveExtensionBy(extensionId, event.key === "ArrowLeft" ? -1 : 1);
+    });
+  }
+
+  /**
+   * Accepts dropped extension tiles on the container, marking the drop side
+   * of the tile under the pointer
+   * @param {Element} container - The extension container
+   */
+  setupExtensionDropTarget(container) {
+    const getDropTarget = (event) => {
+      const target = event.target.closest && event.target.closest(".extension-wrapper");
+      if (!target || target.getAttribute("dragging") === "true") return null;
+      const rect = target.getBoundingClientRect();
+      return { target, placeBefore: event.clientX < rect.left + rect.width / 2 };
+    };
+
+    container.addEventListener("dragover", (event) => {
+      if (!event.dataTransfer.types.includes(CONFIG.EXTENSION_DRAG_TYPE)) return;
+      event.preventDefault();
+      event.dataTransfer.dropEffect = "move";
+
+      this.clearExtensionDropMarkers();
+      const drop = getDropTarget(event);
+      if (drop) {
+        drop.target.setAttribute("drop-position", drop.placeBefore ? "before" : "after");
+      }
+    });
+
+    container.addEventListener("dragleave", (event) => {
+      if (!container.contains(event.relatedTarget)) {
+        this.clearExtensionDropMarkers();
+      }
+    });
+
+    container.addEventListener("drop", (event) => {
+      const extensionId = event.dataTransfer.getData(CONFIG.EXTENSION_DRAG_TYPE);
+      if (!extensionId) return;
+      event.preventDefault();
+      this.clearExtensionDropMarkers();
+
+      const drop = getDropTarget(event);
+      if (drop) {
+        this.moveExtension(extensionId, drop.target.getAttribute("data-extension-id"), drop.placeBefore);
+      }
+    });
+  }
+
+  /**
+   * Removes drop position markers from extension tiles
+   */
+  clearExtensionDropMarkers() {
+    document.querySelectorAll(".extension-wrapper[drop-position]")
+      .forEach(wrapper => wrapper.removeAttribute("drop-position"));
+  }
+
+  /**
+   * Hides an extension's tile from the panel, or shows it again
+   * @param {string} extensionId - The extension ID
+   */
+  toggleExtensionHidden(extensionId) {
+    const hiddenIds = new Set(getPrefList(PREFS.EXTENSIONS_HIDDEN));
+    const hide = !hiddenIds.has(extensionId);
+    hide ? hiddenIds.add(extensionId) : hiddenIds.delete(extensionId);
+    setPrefList(PREFS.EXTENSIONS_HIDDEN, [...hiddenIds]);
+    log("PanelManager", `Extension ${extensionId} ${hide ? "hidden from" : "shown in"} panel`);
+  }
+
+  /**
+   * Shows the subview listing every extension with a search filter
+   */
+  showExtensionOverflow() {
+    log("PanelManager", "Showing extension overflow");
+    this.showSubview({
+      id: "extensions",
+      title: "Extensions",
+      populate: (body) => this.populateExtensionOverflow(body)
+    });
+    const search = this.panel.querySelector("#extension-overflow-search");
+    if (search) {
+      search.focus();
+    }
+  }
+
+  /**
+   * Renders the extension list and its search field. Clicking a row works
+   * like clicking its tile; the checkbox shows or hides the tile.
+   * @param {Element} body - The subview body
+   */
+  populateExtensionOverflow(body) {
+    const hiddenIds = new Set(getPrefList(PREFS.EXTENSIONS_HIDDEN));
+
+    appendXUL(body, `
+      <div id="extension-overflow-search-row" data-nav-row="">
+          <html:input id="extension-overflow-search" type="search" placeholder="Search extensions" aria-label="Search extensions"/>
+      </div>
+      <div id="extension-overflow-list"></div>
+      <label id="extension-overflow-empty" class="page-controls-subview-message" value="No matching extensions." hidden="true"/>
+    `, null, true);
+
+    const list = body.querySelector("#extension-overflow-list");
+    for (const extension of this.extensionData.values()) {
+      list.appendChild(this.createExtensionOverflowRow(extension, hiddenIds.has(extension.id)));
+    }
+
+    const search = body.querySelector("#extension-overflow-search");
+    search.value = this.extensionFilter;
+    search.addEventListener("input", () => {
+      this.extensionFilter = search.value;
+      this.filterExtensionOverflow(body);
+    });
+    search.addEventListener("keydown", (event) => {
+      if (event.key !== "Enter") return;
+      const firstMatch = list.querySelector(".extension-overflow-row:not([hidden]) .extension-overflow-item");
+      if (firstMatch) {
+        event.preventDefault();
+        this.dispatchSyntheticMouseEvent(firstMatch, "click");
+      }
+    });
+
+    this.filterExtensionOverflow(body);
+  }
+
+  /**
+   * Creates a row for one extension in the overflow list
+   * @param {Object} extension - The extension data
+   * @param {boolean} userHidden - Whether its tile is hidden from the panel
+   * @returns {Element} The row element
+   */
+  createExtensionOverflowRow(extension, userHidden) {
+    const fragment = window.MozXULElement.parseXULToFragment(`
+      <div class="extension-overflow-row" data-nav-row="">
+          <div class="extension-overflow-item" role="button">
+              <image class="extension-icon"/>
+              <label class="extension-overflow-name" crop="end"/>
+          </div>
+          <checkbox class="extension-overflow-visibility" tooltiptext="Show in Panel"/>
+      </div>
+    `);
+    const row = fragment.firstElementChild;
+    const name = extension.name || "Extension";
+
+    row.setAttribute("data-name", name.toLowerCase());
+    row.toggleAttribute("user-hidden", userHidden);
+    row.querySelector(".extension-icon").setAttribute("src", this.getExtensionIconSrc(extension));
+    row.querySelector(".extension-icon").setAttribute("enabled", extension.isActive.toString());
+    row.querySelector(".extension-overflow-name").setAttribute("value", name);
+
+    const item = row.querySelector(".extension-overflow-item");
+    item.setAttribute("aria-label", name);
+    item.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.shiftKey) {
+        this.toggleExtensionState(extension.id);
+      } else {
+        this.triggerExtensionAction(extension.id, event);
+      }
+    });
+    item.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.showExtensionContextMenu(event, extension.id);
+    });
+
+    const visibility = row.querySelector(".extension-overflow-visibility");
+    visibility.setAttribute("checked", (!userHidden).toString());
+    visibility.setAttribute("aria-label", `Show ${name} in panel`);
+    visibility.addEventListener("command", () => {
+      row.toggleAttribute("user-hidden", !visibility.checked);
+      this.toggleExtensionHidden(extension.id);
+    });
+
+    return row;
+  }
+
+  /**
+   * Shows only the overflow rows whose name matches the search text
+   * @param {Element} body - The subview body
+   */
+  filterExtensionOverflow(body) {
+    const query = this.extensionFilter.trim().toLowerCase();
+    let matchCount = 0;
+    for (const row of body.querySelectorAll(".extension-overflow-row")) {
+      row.hidden = !row.getAttribute("data-name").includes(query);
+      if (!row.hidden) {
+        matchCount++;
+      }
+    }
+    body.querySelector("#extension-overflow-empty").hidden = matchCount > 0;
+  }
+
+  // ============================================================================
+  // EXTENSION SETS
+  // ============================================================================
+
+  /**
+   * Reads the saved extension sets
+   * @returns {Array<Object>} Sets as { id, name, extensions, workspace }
+   */
+  getExtensionSets() {
+    try {
+      const sets = JSON.parse(Services.prefs.getStringPref(PREFS.EXTENSION_SETS, "[]"));
+      if (!Array.isArray(sets)) return [];
+      // The pref can be edited by hand, so skip sets that are missing fields
+      return sets.filter(set => set
+        && typeof set.id === "string" && set.id
+        && typeof set.name === "string" && set.name
+        && Array.isArray(set.extensions));
+    } catch (error) {
+      logError("PanelManager", `Invalid JSON in ${PREFS.EXTENSION_SETS}`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Saves the extension sets
+   * @param {Array<Object>} sets - Sets as { id, name, extensions, workspace }
+   */
+  saveExtensionSets(sets) {
+    Services.prefs.setStringPref(PREFS.EXTENSION_SETS, JSON.stringify(sets));
+  }
+
+  /**
+   * Gets the user-visible extensions, sorted by name
+   * @returns {Promise<Array>} The add-ons
+   */
+  async getUserExtensions() {
+    const addons = await AddonManager.getAddonsByTypes(["extension"]);
+    return addons
+      .filter(addon => !addon?.isSystem)
+      .sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+  }
+
+  /**
+   * Enables the extensions in a set and disables every other extension
+   * @param {Object} set - The extension set
+   * @returns {Promise<Object>} { enabled, disabled, failed } lists of extension names
+   */
+  async applyExtensionSet(set) {
+    log("PanelManager", `Applying extension set ${set.name}`);
+    const result = { enabled: [], disabled: [], failed: [] };
+    const members = new Set(set.extensions);
+
+    for (const addon of await this.getUserExtensions()) {
+      const shouldEnable = members.has(addon.id);
+      if (addon.isActive === shouldEnable) continue;
+
+      const permission = shouldEnable ? AddonManager.PERM_CAN_ENABLE : AddonManager.PERM_CAN_DISABLE;
+      try {
+        if (!(addon.permissions & permission)) {
+          throw new Error("Not permitted");
+        }
+        shouldEnable ? await addon.enable() : await addon.disable();
+        (shouldEnable ? result.enabled : result.disabled).push(addon.name);
+      } catch (error) {
+        logError("PanelManager", `Error ${shouldEnable ? "enabling" : "disabling"} ${addon.id} for set ${set.name}`, error);
+        result.failed.push(addon.name);
+      }
+    }
+
+    log("PanelManager", `Set ${set.name}: ${result.enabled.length} enabled, ${result.disabled.length} disabled, ${result.failed.length} failed`);
+    return result;
+  }
+
+  /**
+   * Describes the result of applying a set, for the sets subview
+   * @param {Object} set - The extension set
+   * @param {Object} result - The result from applyExtensionSet()
+   * @returns {Array<Object>} Lines as { text, failed }
+   */
+  describeExtensionSetResult(set, result) {
+    const lines = [{ text: `Applied ${set.name}.` }];
+    if (result.enabled.length) {
+      lines.push({ text: `Enabled: ${result.enabled.join(", ")}` });
+    }
+    if (result.disabled.length) {
+      lines.push({ text: `Disabled: ${result.disabled.join(", ")}` });
+    }
+    if (!result.enabled.length && !result.disabled.length && !result.failed.length) {
+      lines.push({ text: "Nothing to change." });
+    }
+    if (result.failed.length) {
+      lines.push({ text: `Couldn't change: ${result.failed.join(", ")}`, failed: true });
+    }
+    return lines;
+  }
+
+  /**
+   * Shows the extension sets subview
+   */
+  showExtensionSets() {
+    log("PanelManager", "Showing extension sets");
+    this.extensionSetStatus = null;
+    this.showSubview({
+      id: "extension-sets",
+      title: "Extension Sets",
+      refreshOnTabChange: false,
+      populate: (body) => this.populateExtensionSets(body)
+    });
+  }
+
+  /**
+   * Renders the list of sets with apply and edit buttons, and the result of
+   * the last applied set
+   * @param {Element} body - The subview body
+   */
+  async populateExtensionSets(body) {
+    const subview = this.activeSubview;
+    const sets = this.getExtensionSets();
+    const [extensions, workspaces] = await Promise.all([this.getUserExtensions(), this.getWorkspaces()]);
+    // The user may have left this subview while the lists were loading
+    if (this.activeSubview !== subview) return;
+    const activeIds = extensions.filter(addon => addon.isActive).map(addon => addon.id).sort().join(",");
+    const installedIds = new Set(extensions.map(addon => addon.id));
+    body.replaceChildren();
+
+    if (!sets.length) {
+      appendXUL(body, `<description class="page-controls-subview-message">Sets enable a group of extensions and disable the rest in one click.</description>`, null, true);
+    }
+
+    const list = document.createElement("div");
+    list.id = "extension-sets-list";
+    for (const set of sets) {
+      const memberIds = set.extensions.filter(id => installedIds.has(id));
+      const workspace = workspaces.find(entry => entry.uuid === set.workspace);
+      const details = [
+        `${memberIds.length} extension${memberIds.length === 1 ? "" : "s"}`,
+        workspace ? `Workspace: ${workspace.name}` : ""
+      ].filter(Boolean).join(" · ");
+
+      const fragment = window.MozXULElement.parseXULToFragment(`
+        <div class="extension-set-row" data-nav-row="">
+            <div class="extension-set-apply" role="button">
+                <label class="extension-set-name" crop="end"/>
+                <label class="extension-set-details" crop="end"/>
+            </div>
+            <image class="urlbar-icon extension-set-edit" role="button" tooltiptext="Edit"/>
+        </div>
+      `);
+      const row = fragment.firstElementChild;
+      row.toggleAttribute("active", [...memberIds].sort().join(",") === activeIds);
+      row.querySelector(".extension-set-name").setAttribute("value", set.name);
+      row.querySelector(".extension-set-details").setAttribute("value", details);
+
+      const applyButton = row.querySelector(".extension-set-apply");
+      applyButton.setAttribute("aria-label", `Apply ${set.name}`);
+      applyButton.addEventListener("click", async (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const result = await this.applyExtensionSet(set);
+        this.extensionSetStatus = this.describeExtensionSetResult(set, result);
+        if (this.activeSubview && this.activeSubview.id === "extension-sets") {
+          const hadFocus = this.panel.contains(document.activeElement);
+          this.renderSubview();
+          if (hadFocus) {
+            this.focusFirstNavItem();
+          }
+        }
+      });
+
+      const editButton = row.querySelector(".extension-set-edit");
+      editButton.setAttribute("aria-label", `Edit ${set.name}`);
+      editButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.showExtensionSetEditor(set.id);
+      });
+
+      list.appendChild(row);
+    }
+    body.appendChild(list);
+
+    if (this.extensionSetStatus) {
+      const status = document.createElement("div");
+      status.id = "extension-sets-status";
+      for (const line of this.extensionSetStatus) {
+        const label = document.createXULElement("description");
+        label.className = "extension-set-result";
+        if (line.failed) {
+          label.setAttribute("failed", "true");
+        }
+        label.textContent = line.text;
+        status.appendChild(label);
+      }
+      body.appendChild(status);
+    }
+
+    appendXUL(body, `
+      <div id="extension-sets-new" class="page-controls-subview-button" role="button" data-nav-row="">
+          <label value="New Set"/>
+      </div>
+    `, null, true);
+    body.querySelector("#extension-sets-new").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.showExtensionSetEditor(null);
+    });
+  }
+
+  /**
+   * Shows the editor for a set, or for a new set prefilled with the
+   * currently enabled extensions
+   * @param {string|null} setId - The set to edit, or null for a new set
+   */
+  showExtensionSetEditor(setId) {
+    const set = this.getExtensionSets().find(entry => entry.id === setId) || null;
+    this.showSubview({
+      id: "extension-set-editor",
+      title: set ? `Edit ${set.name}` : "New Extension Set",
+      // Re-rendering would throw away unsaved edits
+      refreshOnTabChange: false,
+      populate: (body) => this.populateExtensionSetEditor(body, set)
+    });
+  }
+
+  /**
+   * Renders the set editor: name, bound workspace and member extensions
+   * @param {Element} body - The subview body
+   * @param {Object|null} set - The set being edited, or null for a new set
+   */
+  async populateExtensionSetEditor(body, set) {
+    const subview = this.activeSubview;
+    const [extensions, workspaces] = await Promise.all([this.getUserExtensions(), this.getWorkspaces()]);
+    if (this.activeSubview !== subview) return;
+    // A re-render may have started while this one was waiting; the last to finish wins
+    body.replaceChildren();
+    const members = set
+      ? new Set(set.extensions)
+      : new Set(extensions.filter(addon => addon.isActive).map(addon => addon.id));
+
+    const workspaceItems = workspaces.map(workspace => `
+                  <menuitem value="${escapeXML(workspace.uuid)}" label="${escapeXML(workspace.name)}"/>`);
+    const checkboxes = extensions.map(addon => `
+          <checkbox class="extension-set-member" data-nav-row="" data-extension-id="${escapeXML(addon.id)}" label="${escapeXML(addon.name)}" checked="${members.has(addon.id)}"/>`);
+
+    appendXUL(body, `
+      <div id="extension-set-form">
+          <div data-nav-row="">
+              <html:input id="extension-set-name" type="text" placeholder="Set name" aria-label="Set name"/>
+          </div>
+          <menulist id="extension-set-workspace" data-nav-row="" aria-label="Apply when switching to workspace"${workspaces.length ? "" : ' hidden="true"'}>
+              <menupopup>
+                  <menuitem value="" label="No Workspace"/>${workspaceItems.join("")}
+              </menupopup>
+          </menulist>
+          <label class="page-controls-subview-message" value="Enabled in this set:"/>${checkboxes.join("")}
+          <label id="extension-set-error" class="extension-set-result" failed="true" hidden="true"/>
+          <div id="extension-set-save" class="page-controls-subview-button" role="button" data-nav-row="">
+              <label value="Save"/>
+          </div>
+          <div id="extension-set-delete" class="page-controls-subview-button" role="button" data-nav-row=""${set ? "" : ' hidden="true"'}>
+              <label value="Delete Set"/>
+          </div>
+      </div>
+    `, null, true);
+
+    const nameInput = body.querySelector("#extension-set-name");
+    const workspaceList = body.querySelector("#extension-set-workspace");
+    nameInput.value = set ? set.name : "";
+    workspaceList.value = (set && workspaces.some(workspace => workspace.uuid === set.workspace)) ? set.workspace : "";
+
+    body.querySelector("#extension-set-save").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const name = nameInput.value.trim();
+      const error = body.querySelector("#extension-set-error");
+      if (!name) {
+        error.setAttribute("value", "Enter a name for the set.");
+        error.hidden = false;
+        nameInput.focus();
+        return;
+      }
+
+      const saved = {
+        id: set ? set.id : `set-${Date.now().toString(36)}`,
+        name,
+        extensions: [...body.querySelectorAll(".extension-set-member")]
+          .filter(checkbox => checkbox.checked)
+          .map(checkbox => checkbox.getAttribute("data-extension-id")),
+        workspace: workspaceList.value || null
+      };
+      // A workspace applies one set, so move the binding from any other set
+      const sets = this.getExtensionSets()
+        .filter(entry => entry.id !== saved.id)
+        .map(entry => (saved.workspace && entry.workspace === saved.workspace) ? { ...entry, workspace: null } : entry);
+      const index = set ? this.getExtensionSets().findIndex(entry => entry.id === set.id) : -1;
+      sets.splice(index === -1 ? sets.length : index, 0, saved);
+
+      this.saveExtensionSets(sets);
+      log("PanelManager", `Saved extension set ${name}`);
+      this.showExtensionSets();
+    });
+
+    body.querySelector("#extension-set-delete").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      if (!set) return;
+      this.saveExtensionSets(this.getExtensionSets().filter(entry => entry.id !== set.id));
+      log("PanelManager", `Deleted extension set ${set.name}`);
+      this.showExtensionSets();
+    });
+  }
+
+  /**
+   * Checks whether Zen workspaces are available in this window
+   * @returns {boolean} True if workspaces can be read
+   */
+  areWorkspacesAvailable() {
+    return typeof gZenWorkspaces !== "undefined" && !!gZenWorkspaces && gZenWorkspaces.workspaceEnabled !== false;
+  }
+
+  /**
+   * Gets the Zen workspaces, empty when workspaces are unavailable
+   * @returns {Promise<Array<Object>>} Workspaces as { uuid, name }
+   */
+  async getWorkspaces() {
+    if (!this.areWorkspacesAvailable()) return [];
+    try {
+      const result = await gZenWorkspaces.getWorkspaces();
+      // Older Zen builds wrap the list in { workspaces }
+      return Array.isArray(result) ? result : (result && result.workspaces) || [];
+    } catch (error) {
+      logError("PanelManager", "Error reading workspaces", error);
+      return [];
+    }
+  }
+
+  /**
+   * Gets the active Zen workspace's ID
+   * @returns {string|null} The workspace UUID
+   */
+  getActiveWorkspaceId() {
+    return this.areWorkspacesAvailable() ? gZenWorkspaces.activeWorkspace || null : null;
+  }
+
+  /**
+   * Applies the set bound to a workspace whenever this window switches to it.
+   * Switching workspaces selects a tab in the new workspace, so TabSelect is
+   * where the change shows up.
+   */
+  setupWorkspaceExtensionSetListener() {
+    if (this.boundOnWorkspaceTabSelect) return;
+
+    this.lastWorkspaceId = this.getActiveWorkspaceId();
+    this.boundOnWorkspaceTabSelect = () => {
+      const workspaceId = this.getActiveWorkspaceId();
+      if (!workspaceId || workspaceId === this.lastWorkspaceId) return;
+      // Workspaces may not have been ready at setup, so the first ID seen is
+      // where this window started, not a switch
+      const isFirstWorkspace = !this.lastWorkspaceId;
+      this.lastWorkspaceId = workspaceId;
+      if (isFirstWorkspace) return;
+
+      const set = this.getExtensionSets().find(entry => entry.workspace === workspaceId);
+      if (set) {
+        this.applyExtensionSet(set).catch((error) => {
+          logError("PanelManager", `Error applying extension set ${set.name}`, error);
+        });
+      }
+    };
+    gBrowser.tabContainer.addEventListener("TabSelect", this.boundOnWorkspaceTabSelect);
+  }
+
+  // ============================================================================
+  // EXTENSION SITE ACCESS
+  // ============================================================================
+
+  /**
+   * Lazily loads the extension permission modules
+   * @returns {Object} { ExtensionPermissions, OriginControls }
+   */
+  getExtensionPermissionModules() {
+    if (!this.extensionPermissionModules) {
+      this.extensionPermissionModules = ChromeUtils.importESModule("resource://gre/modules/ExtensionPermissions.sys.mjs");
+    }
+    return this.extensionPermissionModules;
+  }
+
+  /**
+   * Checks whether an extension asks for access to every website
+   * @param {WebExtensionPolicy} policy - The extension policy
+   * @returns {boolean} True if any requested host pattern covers all sites
+   */
+  requestsAllUrls(policy) {
+    const manifest = policy.extension && policy.extension.manifest;
+    if (!manifest) return false;
+
+    const patterns = [
+      ...(manifest.host_permissions || []),
+      ...(manifest.optional_host_permissions || []),
+      ...(manifest.permissions || []),
+      ...(manifest.content_scripts || []).flatMap(script => script.matches || [])
+    ];
+    return patterns.some(pattern => CONFIG.ALL_URLS_PATTERNS.includes(pattern));
+  }
+
+  /**
+   * Describes an extension's access to the selected tab's site
+   * @param {string} extensionId - The extension ID
+   * @returns {Object} { state: "always" | "on-click" | "none", canToggle, allUrls }
+   */
+  getExtensionSiteAccess(extensionId) {
+    const policy = WebExtensionPolicy.getByID(extensionId);
+    const uri = gBrowser.currentURI;
+    if (!policy || !uri) {
+      return { state: "none", canToggle: false, allUrls: false };
+    }
+
+    const allUrls = this.requestsAllUrls(policy);
+    try {
+      const { OriginControls } = this.getExtensionPermissionModules();
+      const originState = OriginControls.getState(policy, uri);
+
+      if (originState.noAccess || originState.quarantined) {
+        return { state: "none", canToggle: false, allUrls };
+      }
+      if (originState.allDomains) {
+        return { state: originState.hasAccess ? "always" : "on-click", canToggle: false, allUrls: true };
+      }
+      return {
+        state: originState.alwaysOn || originState.hasAccess ? "always" : "on-click",
+        canToggle: !!originState.whenClicked,
+        allUrls
+      };
+    } catch (error) {
+      logError("PanelManager", `Error reading site access for ${extensionId}`, error);
+    }
+
+    if (policy.canAccessURI(uri)) {
+      return { state: "always", canToggle: false, allUrls };
+    }
+    return { state: policy.hasPermission("activeTab") ? "on-click" : "none", canToggle: false, allUrls };
+  }
+
+  /**
+   * Marks an extension tile with its access to the selected tab's site
+   * @param {Element} wrapper - The extension wrapper element
+   * @param {Object} addon - The addon data
+   */
+  updateExtensionSiteAccess(wrapper, addon) {
+    const access = addon.isActive
+      ? this.getExtensionSiteAccess(addon.id)
+      : { state: "none", canToggle: false, allUrls: false };
+
+    wrapper.setAttribute("site-access", access.state);
+    wrapper.toggleAttribute("all-urls", access.allUrls);
+    this.composeExtensionTooltip(wrapper, addon);
+  }
+
+  /**
+   * Shows or hides the site access items in the extension context menu
+   * @param {string} extensionId - The extension ID
+   */
+  updateExtensionSiteAccessMenu(extensionId) {
+    const alwaysItem = document.querySelector("#ext-menu-site-always");
+    const clickItem = document.querySelector("#ext-menu-site-click");
+    const separator = document.querySelector("#ext-menu-site-separator");
+    if (!alwaysItem || !clickItem || !separator) return;
+
+    const access = this.getExtensionSiteAccess(extensionId);
+    const host = gBrowser.currentURI && gBrowser.currentURI.displayHost;
+    const visible = !!host && (access.canToggle || access.state !== "none");
+
+    [alwaysItem, clickItem, separator].forEach(item => { item.hidden = !visible; });
+    if (!visible) return;
+
+    alwaysItem.setAttribute("label", `Always Allow on ${host}`);
+    alwaysItem.setAttribute("checked", (access.state === "always").toString());
+    clickItem.setAttribute("checked", (access.state === "on-click").toString());
+    alwaysItem.disabled = !access.canToggle;
+    clickItem.disabled = !access.canToggle;
+  }
+
+  /**
+   * Grants or revokes an extension's access to just the selected tab's site
+   * @param {string} extensionId - The extension ID
+   * @param {boolean} alwaysOn - True to always allow, false to allow only when clicked
+   */
+  async setExtensionSiteAccess(extensionId, alwaysOn) {
+    try {
+      const policy = WebExtensionPolicy.getByID(extensionId);
+      const uri = gBrowser.currentURI;
+      if (!policy || !uri) return;
+
+      const { OriginControls } = this.getExtensionPermissionModules();
+      alwaysOn
+        ? await OriginControls.setAlwaysOn(policy, uri)
+        : await OriginControls.setWhenClicked(policy, uri);
+
+      log("PanelManager", `Site access for ${extensionId} on ${uri.host}: ${alwaysOn ? "always" : "on click"}`);
+      this.loadExtensions();
+    } catch (error) {
+      logError("PanelManager", `Error changing site access for ${extensionId}`, error);
+    }
+  }
+
+  // ============================================================================
+  // EXTENSION ACTION STATE
+  // ============================================================================
+
+  /**
+   * Gets an extension's browserAction/action API object for this window
+   * @param {string} extensionId - The extension ID
+   * @returns {Object|null} The action, or null if the extension has none
+   */
+  getExtensionAction(extensionId) {
+    try {
+      const policy = WebExtensionPolicy.getByID(extensionId);
+      return policy ? gUnifiedExtensions.browserActionFor(policy) : null;
+    } catch (error) {
+      logError("PanelManager", `Error getting action for ${extensionId}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the object holding an action's per-tab state. Newer builds keep it
+   * on action.action; older ones on the action itself.
+   * @param {Object} action - The action from getExtensionAction()
+   * @returns {Object|null} The state source, or null if it can't be read
+   */
+  getActionSource(action) {
+    const source = action.action && typeof action.action.getContextData === "function"
+      ? action.action
+      : action;
+    return typeof source.getContextData === "function" ? source : null;
+  }
+
+  /**
+   * Reads the action's icon, title and badge for the selected tab
+   * @param {string} extensionId - The extension ID
+   * @returns {Object|null} { icon, title, badgeText, badgeBackgroundColor, badgeTextColor, enabled }
+   */
+  getExtensionActionState(extensionId) {
+    const action = this.getExtensionAction(extensionId);
+    const source = action && this.getActionSource(action);
+    if (!source) return null;
+
+    const data = source.getContextData(gBrowser.selectedTab);
+    return {
+      icon: this.getPreferredActionIcon(data.icon),
+      title: data.title,
+      badgeText: data.badgeText,
+      badgeBackgroundColor: this.serializeActionColor(data.badgeBackgroundColor),
+      badgeTextColor: this.serializeActionColor(data.badgeTextColor),
+      enabled: data.enabled !== false
+    };
+  }
+
+  /**
+   * Picks the smallest action icon that covers the tile at the screen's scale
+   * @param {Object|string} icons - Map of size to URL, or a single URL
+   * @returns {string|null} The icon URL
+   */
+  getPreferredActionIcon(icons) {
+    if (!icons) return null;
+    if (typeof icons === "string") return icons;
+
+    const target = parseInt(CONFIG.ICON_SIZE, 10) * window.devicePixelRatio;
+    const sizes = Object.keys(icons).map(Number).sort((a, b) => a - b);
+    const size = sizes.find(candidate => candidate >= target) || sizes[sizes.length - 1];
+    return size ? icons[size] : null;
+  }
+
+  /**
+   * Converts an action color (RGBA array or CSS string) to CSS
+   * @param {Array<number>|string} color - The color
+   * @returns {string} A CSS color, or "" if unset
+   */
+  serializeActionColor(color) {
+    if (Array.isArray(color)) {
+      const [r, g, b, a = 255] = color;
+      return `rgba(${r}, ${g}, ${b}, ${a / 255})`;
+    }
+    return color || "";
+  }
+
+  /**
+   * Mirrors the action's icon, title and badge on an extension tile
+   * @param {Element} wrapper - The extension wrapper element
+   * @param {Object} addon - The addon data
+   */
+  updateExtensionActionState(wrapper, addon) {
+    const state = addon.isActive ? this.getExtensionActionState(addon.id) : null;
+    const img = wrapper.querySelector(".extension-icon");
+
+    if (img && state && state.icon && img.getAttribute("src") !== state.icon) {
+      img.setAttribute("src", state.icon);
+    }
+
+    let badge = wrapper.querySelector(".extension-badge");
+    if (state && state.badgeText) {
+      if (!badge) {
+        badge = document.createXULElement("label");
+        badge.className = "extension-badge";
+        wrapper.appendChild(badge);
+      }
+      badge.setAttribute("value", state.badgeText);
+      badge.style.backgroundColor = state.badgeBackgroundColor;
+      badge.style.color = state.badgeTextColor;
+    } else if (badge) {
+      badge.remove();
+    }
+
+    wrapper.toggleAttribute("action-disabled", !!state && !state.enabled);
+    if (state && state.title && state.title !== addon.name) {
+      wrapper.setAttribute("action-title", state.title);
+    } else {
+      wrapper.removeAttribute("action-title");
+    }
+    this.composeExtensionTooltip(wrapper, addon);
+  }
+
+  /**
+   * Builds an extension tile's tooltip and accessible label from its state
+   * @param {Element} wrapper - The extension wrapper element
+   * @param {Object} addon - The addon data
+   */
+  composeExtensionTooltip(wrapper, addon) {
+    const badge = wrapper.querySelector(".extension-badge");
+    const siteAccess = wrapper.getAttribute("site-access");
+    const tooltip = [
+      this.getExtensionTooltip(addon),
+      wrapper.getAttribute("action-title"),
+      addon.isActive ? "Shift+click to disable" : "Shift+click to enable",
+      badge ? `Badge: ${badge.getAttribute("value")}` : "",
+      addon.isActive && siteAccess ? SITE_ACCESS_LABELS[siteAccess] : "",
+      wrapper.hasAttribute("all-urls") ? "Requests access to all websites" : ""
+    ].filter(Boolean).join("\n");
+
+    const img = wrapper.querySelector(".extension-icon");
+    if (img) {
+      img.setAttribute("tooltiptext", tooltip);
+    }
+    wrapper.setAttribute("aria-label", tooltip.replace(/\n/g, ". "));
+  }
+
+  /**
+   * Watches the toolbar nodes of extension actions so tiles update live while
+   * the panel is open. Extensions update those nodes whenever they change
+   * their icon, title or badge.
+   */
+  observeExtensionActions() {
+    this.stopObservingExtensionActions();
+
+    this.actionObserver = new MutationObserver((mutations) => {
+      const extensionIds = new Set();
+      for (const mutation of mutations) {
+        const node = mutation.target.closest && mutation.target.closest("[data-extensionid]");
+        if (node) {
+          extensionIds.add(node.getAttribute("data-extensionid"));
+        }
+      }
+      extensionIds.forEach(id => this.refreshExtensionTile(id));
+    });
+
+    for (const extensionId of this.extensionData.keys()) {
+      const action = this.getExtensionAction(extensionId);
+      const node = action && action.widget && action.widget.forWindow(window).node;
+      if (node) {
+        this.actionObserver.observe(node, { attributes: true, subtree: true });
+      }
+    }
+  }
+
+  /**
+   * Stops watching extension action nodes
+   */
+  stopObservingExtensionActions() {
+    if (this.actionObserver) {
+      this.actionObserver.disconnect();
+      this.actionObserver = null;
+    }
+  }
+
+  /**
+   * Re-reads one extension's action state onto its tile
+   * @param {string} extensionId - The extension ID
+   */
+  async refreshExtensionTile(extensionId) {
+    const wrapper = this.panel && this.panel.querySelector(`[data-extension-id="${CSS.escape(extensionId)}"]`);
+    if (!wrapper) return;
+
+    const addon = await AddonManager.getAddonByID(extensionId);
+    if (addon) {
+      this.updateExtensionActionState(wrapper, addon);
+    }
+  }
+
+  // ============================================================================
+  // EXTENSION PAGE ACTIONS
+  // ============================================================================
+
+  /**
+   * Lazily loads ExtensionParent, whose API global holds each extension's
+   * page action
+   * @returns {Object} { ExtensionParent }
+   */
+  getExtensionParentModule() {
+    if (!this.extensionParentModule) {
+      this.extensionParentModule = ChromeUtils.importESModule("resource://gre/modules/ExtensionParent.sys.mjs");
+    }
+    return this.extensionParentModule;
+  }
+
+  /**
+   * Gets an extension's pageAction API object
+   * @param {WebExtensionPolicy} policy - The extension policy
+   * @returns {Object|null} The page action, or null if the extension has none
+   */
+  getExtensionPageAction(policy) {
+    try {
+      const { ExtensionParent } = this.getExtensionParentModule();
+      // Only defined once some extension has loaded the pageAction API
+      const pageActionFor = ExtensionParent.apiManager.global.pageActionFor;
+      return (pageActionFor && policy.extension && pageActionFor(policy.extension)) || null;
+    } catch (error) {
+      logError("PanelManager", `Error getting page action for ${policy.id}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Collects the page actions shown for the selected tab, with their icon
+   * and title for that tab
+   * @returns {Array<Object>} Entries as { extensionId, pageAction, icon, title }
+   */
+  getVisiblePageActions() {
+    const tab = gBrowser.selectedTab;
+    const visible = [];
+
+    for (const policy of WebExtensionPolicy.getActiveExtensions()) {
+      const pageAction = this.getExtensionPageAction(policy);
+      const source = pageAction && this.getActionSource(pageAction);
+      if (!source) continue;
+
+      const data = source.getContextData(tab);
+      const shown = typeof source.isShownForTab === "function" ? source.isShownForTab(tab) : data.enabled;
+      if (!shown) continue;
+
+      visible.push({
+        extensionId: policy.id,
+        pageAction,
+        icon: this.getPreferredActionIcon(data.icon) || CONFIG.FALLBACK_ICON,
+        title: data.title || policy.name
+      });
+    }
+
+    return visible.sort((a, b) => a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Fills the "For This Page" row with the selected tab's page actions, and
+   * hides the row when there are none
+   */
+  updatePageActions() {
+    const row = this.panel && this.panel.querySelector(SELECTORS.PAGE_ACTION_ROW);
+    const container = row && row.querySelector(SELECTORS.PAGE_ACTION_CONTAINER);
+    if (!container) return;
+
+    const pageActions = this.getVisiblePageActions();
+    container.replaceChildren(...pageActions.map(entry => this.createPageActionTile(entry)));
+    row.hidden = !pageActions.length;
+  }
+
+  /**
+   * Creates the tile for one page action
+   * @param {Object} entry - An entry from getVisiblePageActions()
+   * @returns {Element} The tile element
+   */
+  createPageActionTile(entry) {
+    const tile = document.createElement("div");
+    tile.className = "urlbar-icon page-action-tile";
+    tile.setAttribute("role", "button");
+    tile.setAttribute("aria-label", entry.title);
+    tile.setAttribute("data-page-action-extension-id", entry.extensionId);
+
+    const img = document.createXULElement("image");
+    img.className = "extension-icon";
+    img.setAttribute("src", entry.icon);
+    img.setAttribute("tooltiptext", entry.title);
+    tile.appendChild(img);
+    this.setupImageEventListeners(img, entry.title);
+
+    tile.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.triggerPageAction(entry.pageAction, event);
+    });
+    tile.addEventListener("contextmenu", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.showExtensionContextMenu(event, entry.extensionId, { onPageAction: true });
+    });
+
+    return tile;
+  }
+
+  /**
+   * Runs a page action as a click on its urlbar button would: opens its popup
+   * or fires its onClicked event
+   * @param {Object} pageAction - The pageAction API object
+   * @param {MouseEvent} event - The click event
+   */
+  triggerPageAction(pageAction, event) {
+    try {
+      // The urlbar page action buttons are hidden, so anchor popups to the panel button
+      if (pageAction.browserPageAction) {
+        pageAction.browserPageAction.anchorIDOverride = CONFIG.BUTTON_ID;
+      }
+      this.hidePanel();
+
+      if (typeof pageAction.handleClick === "function") {
+        pageAction.handleClick(window, { button: event.button, modifiers: this.getClickModifiers(event) });
+      } else {
+        pageAction.triggerAction(window);
+      }
+      log("PanelManager", `Triggered page action for ${pageAction.extension && pageAction.extension.id}`);
+    } catch (error) {
+      logError("PanelManager", "Error triggering page action", error);
+    }
+  }
+
+  // ============================================================================
+  // EXTENSION CONTEXT MENU
+  // ============================================================================
+
+  /**
+   * Ensures the extensions menupopup exists under #mainPopupSet and returns it
+   * @returns {Element|null}
+   */
+  ensureExtensionContextMenu() {
+    const popupSet = document.querySelector(SELECTORS.MAIN_POPUP_SET);
+    if (!popupSet) {
+      logError("PanelManager", "#mainPopupSet not found for extension context menu", new Error("Missing mainPopupSet"));
+      return null;
+    }
+
+    let menu = document.querySelector("#extension-context-menu");
+    if (menu) {
+      return menu;
+    }
+
+    const menuXUL = `
+      <menupopup id="extension-context-menu" data-page-controls-popup="">
+        <menuitem id="ext-menu-header" disabled="true"/>
+        <menuseparator/>
+        <menuitem id="ext-menu-site-always" type="radio" name="ext-site-access" label="Always Allow on This Site"/>
+        <menuitem id="ext-menu-site-click" type="radio" name="ext-site-access" label="Only When Clicked"/>
+        <menuseparator id="ext-menu-site-separator"/>
+        <menuitem id="ext-menu-pin" label="Pin to Toolbar"/>
+        <menuitem id="ext-menu-hide" label="Hide from Panel"/>
+        <menuitem id="ext-menu-toggle" label="Disable Extension"/>
+        <menuitem id="ext-menu-private" type="checkbox" label="Run in Private Windows"/>
+        <menuseparator/>
+        <menuitem id="ext-menu-manage" label="Manage Extension"/>
+        <menuitem id="ext-menu-updates" label="Check for Updates"/>
+        <menuitem id="ext-menu-permissions" label="Show Permissions"/>
+        <menuitem id="ext-menu-copy-id" label="Copy Extension ID"/>
+        <menuseparator/>
+        <menuitem id="ext-menu-remove" label="Remove Extension"/>
+        <menuitem id="ext-menu-report" label="Report Extension"/>
+      </menupopup>
+    `;
+
+    appendXUL(popupSet, menuXUL, null, true);
+    // appendXUL with XUL returns a DocumentFragment; query the actual node
+    return document.querySelector("#extension-context-menu");
+  }
+
+  /**
+   * One-time wiring for extension menu items
+   */
+  setupExtensionMenuListeners() {
+    const menu = document.querySelector("#extension-context-menu");
+    if (!menu) return;
+
+    const siteAlwaysItem = document.querySelector("#ext-menu-site-always");
+    if (siteAlwaysItem) {
+      siteAlwaysItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.setExtensionSiteAccess(this.currentContextMenuExtensionId, true);
+        }
+      });
+    }
+
+    const siteClickItem = document.querySelector("#ext-menu-site-click");
+    if (siteClickItem) {
+      siteClickItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.setExtensionSiteAccess(this.currentContextMenuExtensionId, false);
+        }
+      });
+    }
+
+    const pinItem = document.querySelector("#ext-menu-pin");
+    if (pinItem) {
+      pinItem.addEventListener("command", () => {
+        if (this.currentContextMenuExtensionId) {
+          this.pinExtensionToToolbar(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const hideItem = document.querySelector("#ext-menu-hide");
+    if (hideItem) {
+      hideItem.addEventListener("command", () => {
+        if (this.currentContextMenuExtensionId) {
+          this.toggleExtensionHidden(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const toggleItem = document.querySelector("#ext-menu-toggle");
+    if (toggleItem) {
+      toggleItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.toggleExtensionState(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const privateItem = document.querySelector("#ext-menu-private");
+    if (privateItem) {
+      privateItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.setPrivateBrowsingAccess(this.currentContextMenuExtensionId, privateItem.getAttribute("checked") === "true");
+        }
+      });
+    }
+
+    const updatesItem = document.querySelector("#ext-menu-updates");
+    if (updatesItem) {
+      updatesItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.checkExtensionForUpdates(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const permissionsItem = document.querySelector("#ext-menu-permissions");
+    if (permissionsItem) {
+      permissionsItem.addEventListener("command", () => {
+        if (this.currentContextMenuExtensionId) {
+          this.showExtensionDetails(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const copyIdItem = document.querySelector("#ext-menu-copy-id");
+    if (copyIdItem) {
+      copyIdItem.addEventListener("command", () => {
+        if (this.currentContextMenuExtensionId) {
+          copyToClipboard(this.currentContextMenuExtensionId);
+          log("PanelManager", `Copied extension ID ${this.currentContextMenuExtensionId}`);
+        }
+      });
+    }
+
+    const manageItem = document.querySelector("#ext-menu-manage");
+    if (manageItem) {
+      manageItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.manageExtension(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const removeItem = document.querySelector("#ext-menu-remove");
+    if (removeItem) {
+      removeItem.addEventListener("command", async () => {
+        if (this.currentContextMenuExtensionId) {
+          await this.removeExtension(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    const reportItem = document.querySelector("#ext-menu-report");
+    if (reportItem) {
+      reportItem.addEventListener("command", () => {
+        if (this.currentContextMenuExtensionId) {
+          this.reportExtension(this.currentContextMenuExtensionId);
+        }
+      });
+    }
+
+    this.extensionMenuListenersSetup = true;
+  }
+
+  /**
+   * Shows context menu for extension
+   * @param {Event} event - The context menu event
+   * @param {string} extensionId - The extension ID
+   * @param {Object} [options]
+   * @param {boolean} [options.onPageAction] - The menu is for the extension's page action rather than its toolbar action
+   */
+  showExtensionContextMenu(event, extensionId, { onPageAction = false } = {}) {
+    try {
+      const menu = this.ensureExtensionContextMenu();
+      if (!menu) return;
+
+      const anchor = event.currentTarget || event.target;
+
+      // Record which extension this menu is for
+      this.currentContextMenuExtensionId = extensionId;
+
+      if (!this.extensionMenuListenersSetup) {
+        this.setupExtensionMenuListeners();
+      }
+      this.updateExtensionSiteAccessMenu(extensionId);
+
+      const hideItem = document.querySelector("#ext-menu-hide");
+      if (hideItem) {
+        const hidden = getPrefList(PREFS.EXTENSIONS_HIDDEN).includes(extensionId);
+        hideItem.setAttribute("label", hidden ? "Show in Panel" : "Hide from Panel");
+      }
+
+      const toggleItem = document.querySelector("#ext-menu-toggle");
+      if (toggleItem) {
+        toggleItem.setAttribute("label", WebExtensionPolicy.getByID(extensionId) ? "Disable Extension" : "Enable Extension");
+      }
+      // The menu opens now, and the details that need the add-on fill in once it loads
+      this.updateExtensionDetailsMenu(extensionId).catch((error) => {
+        logError("PanelManager", `Error reading details for ${extensionId}`, error);
+      });
+      this.addExtensionMenuItems(menu, extensionId, onPageAction);
+
+      // Anchor to the wrapper for automatic positioning; fallback if needed
+      if (typeof menu.openPopup === "function") {
+        menu.openPopup(anchor, "after_start", 0, 0, true, null, event);
+      } else if (typeof menu.openPopupAtScreen === "function") {
+        menu.openPopupAtScreen(event.screenX, event.screenY, true);
+        log("PanelManager", `Context menu opened for extension ${extensionId} at screen position ${event.screenX}, ${event.screenY}`);
+      }
+
+      this.currentContextMenu = menu;
+      log("PanelManager", `Context menu opened for extension ${extensionId}`);
+    } catch (error) {
+      logError("PanelManager", "Error showing extension context menu", error);
+    }
+  }
+
+  /**
+   * Fills in the context menu's header and the items that depend on the
+   * add-on's state and permissions. Those items stay disabled until the
+   * add-on loads, and the results are dropped if the menu has moved on to
+   * another extension by then.
+   * @param {string} extensionId - The extension ID
+   */
+  async updateExtensionDetailsMenu(extensionId) {
+    const header = document.querySelector("#ext-menu-header");
+    const privateItem = document.querySelector("#ext-menu-private");
+    const updatesItem = document.querySelector("#ext-menu-updates");
+    const removeItem = document.querySelector("#ext-menu-remove");
+
+    const extension = this.extensionData.get(extensionId);
+    header?.setAttribute("label", extension ? extension.name : extensionId);
+    if (privateItem) privateItem.disabled = true;
+    if (updatesItem) updatesItem.hidden = true;
+    if (removeItem) removeItem.disabled = true;
+
+    const pinItem = document.querySelector("#ext-menu-pin");
+    if (pinItem) {
+      const action = this.getExtensionAction(extensionId);
+      pinItem.hidden = !action;
+      pinItem.setAttribute("label", action && this.isExtensionPinned(action) ? "Unpin from Toolbar" : "Pin to Toolbar");
+    }
+
+    const addon = await AddonManager.getAddonByID(extensionId);
+    const privateAccess = addon ? await this.hasPrivateBrowsingAccess(extensionId) : false;
+    if (!addon || this.currentContextMenuExtensionId !== extensionId) return;
+
+    if (header) {
+      const author = addon.creator && addon.creator.name;
+      header.setAttribute("label", `${addon.name} ${addon.version}${author ? ` by ${author}` : ""}`);
+    }
+    if (privateItem) {
+      privateItem.setAttribute("checked", privateAccess.toString());
+      privateItem.disabled = !(addon.permissions & AddonManager.PERM_CAN_CHANGE_PRIVATEBROWSING_ACCESS);
+    }
+    if (updatesItem) {
+      updatesItem.hidden = !(addon.permissions & AddonManager.PERM_CAN_UPGRADE);
+    }
+    if (removeItem) {
+      removeItem.disabled = !(addon.permissions & AddonManager.PERM_CAN_UNINSTALL);
+    }
+  }
+
+  /**
+   * Adds the items an extension registered for its action's context menu
+   * through the menus API, as the toolbar context menu does. The menus API
+   * builds them with their icons, checkboxes, radio groups and submenus,
+   * dispatches their onClicked events and removes them when the menu hides.
+   * @param {Element} menu - The extension context menu
+   * @param {string} extensionId - The extension ID
+   * @param {boolean} onPageAction - Add the page_action items instead of the browser_action/action ones
+   */
+  addExtensionMenuItems(menu, extensionId, onPageAction) {
+    try {
+      const policy = WebExtensionPolicy.getByID(extensionId);
+      if (!policy || !policy.extension) return;
+
+      const { ExtensionParent } = this.getExtensionParentModule();
+      // Only defined once some extension has loaded the menus API
+      const actionContextMenu = ExtensionParent.apiManager.global.actionContextMenu;
+      if (!actionContextMenu) return;
+
+      let context = "onPageAction";
+      if (!onPageAction) {
+        context = policy.extension.manifestVersion < 3 ? "onBrowserAction" : "onAction";
+      }
+      actionContextMenu({ extension: policy.extension, [context]: true, menu });
+    } catch (error) {
+      logError("PanelManager", `Error adding menu items for extension ${extensionId}`, error);
+    }
+  }
+
+  /**
+   * Gets extension information by ID
+   * @param {string} extensionId - The extension ID
+   * @returns {Object|null} Extension information or null if not found
+   */
+  getExtensionInfo(extensionId) {
+    try {
+      const addon = AddonManager.getAddonByID(extensionId);
+      if (addon) {
+        return {
+          id: addon.id,
+          name: addon.name,
+          isActive: addon.isActive,
+          iconURL: addon.iconURL
+        };
+      }
+      return null;
+    } catch (error) {
+      logError("PanelManager", "Error getting extension info", error);
+      return null;
+    }
+  }
+
+  /**
+   * Creates the extension context menu using XUL menupopup
+   * @param {Object} addon - Extension information
+   * @param {number} x - X position for menu
+   * @param {number} y - Y position for menu
+   * @returns {Element} The context menu element
+   */
+  // Deprecated: menu is now created once in ensureExtensionContextMenu()
+  createExtensionContextMenu() { return this.ensureExtensionContextMenu(); }
+
+  /**
+   * Sets up click outside handler to close context menu
+   */
+  setupContextMenuCloseHandler() {}
+
+  /**
+   * Hides the extension context menu
+   */
+  hideExtensionContextMenu() {
+    const menu = document.querySelector("#extension-context-menu");
+    if (menu && typeof menu.hidePopup === "function") {
+      menu.hidePopup();
+    }
+    this.currentContextMenu = null;
+    this.currentContextMenuExtensionId = null;
+  }
+
+  /**
+   * Gets the CustomizableUI widget ID of an extension's action
+   * @param {Object} action - The action from getExtensionAction()
+   * @returns {string} The widget ID
+   */
+  getActionWidgetId(action) {
+    return action.widget ? action.widget.id : action.id;
+  }
+
+  /**
+   * Checks whether an extension's action sits on a toolbar rather than in
+   * the extensions panel
+   * @param {Object} action - The action from getExtensionAction()
+   * @returns {boolean} True if pinned
+   */
+  isExtensionPinned(action) {
+    const placement = CustomizableUI.getPlacementOfWidget(this.getActionWidgetId(action));
+    return !!placement && placement.area !== CustomizableUI.AREA_ADDONS;
+  }
+
+  /**
+   * Pins extension to toolbar, or unpins it if already pinned
+   * @param {string} extensionId - The extension ID
+   */
+  pinExtensionToToolbar(extensionId) {
+    try {
+      log("PanelManager", `Pinning extension ${extensionId} to toolbar`);
+      
+      // Get the extension addon
+      const addon = WebExtensionPolicy.getByID(extensionId);
+      if (!addon) {
+        log("PanelManager", `Extension ${extensionId} not found for pinning`);
+        return;
+      }
+      
+      // Try to pin the extension to the toolbar
+      // This uses the unified extensions API
+      try {
+        const policy = WebExtensionPolicy.getByID(extensionId);
+        const hasUnified = typeof gUnifiedExtensions !== "undefined" && gUnifiedExtensions;
+        if (policy && hasUnified) {
+          const action = gUnifiedExtensions.browserActionFor(policy);
+          // Prefer a Unified Extensions API if present
+          if (action && typeof gUnifiedExtensions.pinToToolbar === "function") {
+            const pinned = this.isExtensionPinned(action);
+            gUnifiedExtensions.pinToToolbar(this.getActionWidgetId(action), !pinned);
+            log("PanelManager", `Extension ${extensionId} ${pinned ? "unpinned" : "pinned"} via gUnifiedExtensions.pinToToolbar`);
+          } else if (typeof gUnifiedExtensions.togglePinned === "function") {
+            gUnifiedExtensions.togglePinned(policy);
+            log("PanelManager", `Extension ${extensionId} pin state toggled via gUnifiedExtensions.togglePinned`);
+          } else if (typeof gUnifiedExtensions.togglePinnedFor === "function") {
+            gUnifiedExtensions.togglePinnedFor(policy);
+            log("PanelManager", `Extension ${extensionId} pin state toggled via gUnifiedExtensions.togglePinnedFor`);
+          } else {
+            // Fallback: try action object methods if they exist
+            if (action) {
+              if (typeof action.setPinned === "function") {
+                const pinned = !!(action.pinned);
+                action.setPinned(!pinned);
+                log("PanelManager", `Extension ${extensionId} pin state set to ${!pinned} via action.setPinned`);
+              } else {
+                log("PanelManager", "Pin API not available on action; opening manage page instead");
+                this.manageExtension(extensionId);
+              }
+            }
+          }
+        } else {
+          // Last resort: open manage page where user can pin
+          this.manageExtension(extensionId);
+        }
+      } catch (error) {
+        logError("PanelManager", "Error pinning extension to toolbar", error);
+      }
+      
+      this.hidePanel();
+    } catch (error) {
+      logError("PanelManager", "Error in pinExtensionToToolbar", error);
+    }
+  }
+
+  /**
+   * Opens an extension's options: inline options pages render in a panel
+   * subview as about:addons embeds them, pages that ask for a tab open in
+   * one, and extensions without options open their about:addons page
+   * @param {string} extensionId - The extension ID
+   */
+  async manageExtension(extensionId) {
+    try {
+      log("PanelManager", `Managing extension ${extensionId}`);
+
+      const addon = await AddonManager.getAddonByID(extensionId);
+      const optionsURL = addon && addon.isActive && addon.optionsURL;
+      if (optionsURL && addon.optionsType === AddonManager.OPTIONS_TYPE_INLINE_BROWSER) {
+        this.showExtensionOptions(addon);
+        return;
+      }
+
+      if (optionsURL) {
+        this.openTabInCurrentContainer(optionsURL);
+      } else {
+        log("PanelManager", `No options page for extension ${extensionId}, opening its add-ons manager page`);
+        this.openAddonDetails(extensionId);
+      }
+      
+      this.hidePanel();
+    } catch (error) {
+      logError("PanelManager", "Error managing extension", error);
+    }
+  }
+
+  /**
+   * Opens an extension's page in the add-ons manager
+   * @param {string} extensionId - The extension ID
+   */
+  openAddonDetails(extensionId) {
+    BrowserAddonUI.openAddonsMgr(`addons://detail/${encodeURIComponent(extensionId)}`);
+  }
+
+  /**
+   * Removes/uninstalls extension
+   * @param {string} extensionId - The extension ID
+   */
+  async removeExtension(extensionId) {
+    try {
+      log("PanelManager", `Removing extension ${extensionId}`);
+      
+      // Get the extension addon
+      const addon = await AddonManager.getAddonByID(extensionId);
+      if (!addon) {
+        log("PanelManager", `Extension ${extensionId} not found for removal`);
+        return;
+      }
+      
+      // Show confirmation dialog
+      const confirmed = Services.prompt.confirm(
+        window,
+        "Remove Extension",
+        `Are you sure you want to remove "${addon.name}"? This action cannot be undone.`
+      );
+      
+      if (!confirmed) {
+        log("PanelManager", `Extension removal cancelled for ${extensionId}`);
+        return;
+      }
+      
+      // Uninstall the extension
+      if (typeof addon.uninstall === "function") {
+        await addon.uninstall();
+      } else if (typeof addon.remove === "function") {
+        await addon.remove();
+      } else {
+        // As a fallback, direct the user to manage page
+        this.manageExtension(extensionId);
+        return;
+      }
+      log("PanelManager", `Extension ${extensionId} removed successfully`);
+      
+      // Refresh the extensions display
+      this.updateExtensions();
+      
+      this.hidePanel();
+    } catch (error) {
+      logError("PanelManager", "Error removing extension", error);
+    }
+  }
+
+  /**
+   * Reports extension
+   * @param {string} extensionId - The extension ID
+   */
+  reportExtension(extensionId) {
+    try {
+      log("PanelManager", `Reporting extension ${extensionId}`);
+      
+      // Get extension info
+      const addon = AddonManager.getAddonByID(extensionId);
+      if (!addon) {
+        log("PanelManager", `Extension ${extensionId} not found for reporting`);
+        return;
+      }
+      
+      // Open the AMO feedback page for the extension using the add-on ID
+      const amoId = addon.id || extensionId;
+      const reportUrl = `https://addons.mozilla.org/firefox/feedback/addon/${amoId}/`;
+      this.openTabInCurrentContainer(reportUrl);
+      
+      this.hidePanel();
+    } catch (error) {
+      logError("PanelManager", "Error reporting extension", error);
+    }
+  }
+
+  // ============================================================================
+  // EXTENSION DETAILS
+  // ============================================================================
+
+  /**
+   * Checks whether an extension may run in private windows
+   * @param {string} extensionId - The extension ID
+   * @returns {Promise<boolean>} True if allowed
+   */
+  async hasPrivateBrowsingAccess(extensionId) {
+    const { ExtensionPermissions } = this.getExtensionPermissionModules();
+    const granted = await ExtensionPermissions.get(extensionId);
+    return granted.permissions.includes("internal:privateBrowsingAllowed");
+  }
+
+  /**
+   * Allows or stops an extension running in private windows, as about:addons does
+   * @param {string} extensionId - The extension ID
+   * @param {boolean} allowed - True to allow
+   */
+  async setPrivateBrowsingAccess(extensionId, allowed) {
+    try {
+      const { ExtensionPermissions } = this.getExtensionPermissionModules();
+      const policy = WebExtensionPolicy.getByID(extensionId);
+      const permissions = { permissions: ["internal:privateBrowsingAllowed"], origins: [] };
+      allowed
+        ? await ExtensionPermissions.add(extensionId, permissions, policy && policy.extension)
+        : await ExtensionPermissions.remove(extensionId, permissions, policy && policy.extension);
+      // A running extension only picks up the change when it restarts
+      const addon = await AddonManager.getAddonByID(extensionId);
+      if (addon && addon.isActive) {
+        await addon.reload();
+      }
+      log("PanelManager", `Private browsing for ${extensionId}: ${allowed ? "allowed" : "not allowed"}`);
+    } catch (error) {
+      logError("PanelManager", `Error changing private browsing access for ${extensionId}`, error);
+    }
+  }
+
+  /**
+   * Describes an extension's required and granted permissions in words
+   * @param {Object} addon - The addon
+   * @returns {Promise<Object>} { lines, other } readable lines and unlisted permission names
+   */
+  async getReadablePermissions(addon) {
+    const { ExtensionPermissions } = this.getExtensionPermissionModules();
+    const granted = await ExtensionPermissions.get(addon.id);
+    const required = addon.userPermissions || { permissions: [], origins: [] };
+
+    const permissions = [...new Set([...required.permissions, ...granted.permissions])]
+      .filter(permission => !permission.startsWith("internal:"));
+    const origins = [...new Set([...required.origins, ...granted.origins])];
+
+    const lines = new Set();
+    if (origins.some(origin => CONFIG.ALL_URLS_PATTERNS.includes(origin))) {
+      lines.add("Access your data for all websites");
+    } else {
+      for (const origin of origins) {
+        const host = origin.replace(/^[^:]+:\/\//, "").replace(/\/.*$/, "");
+        lines.add(host.startsWith("*.")
+          ? `Access your data for sites in the ${host.slice(2)} domain`
+          : `Access your data for ${host}`);
+      }
+    }
+
+    const other = [];
+    for (const permission of permissions) {
+      PERMISSION_LABELS[permission] ? lines.add(PERMISSION_LABELS[permission]) : other.push(permission);
+    }
+    return { lines: [...lines], other };
+  }
+
+  /**
+   * Shows the details subview for an extension: version, author,
+   * permissions and the result of the last update check
+   * @param {string} extensionId - The extension ID
+   */
+  showExtensionDetails(extensionId) {
+    if (this.extensionDetailsStatus && this.extensionDetailsStatus.extensionId !== extensionId) {
+      this.extensionDetailsStatus = null;
+    }
+    const extension = this.extensionData.get(extensionId);
+    this.showSubview({
+      id: "extension-details",
+      title: extension ? extension.name : "Extension",
+      extensionId,
+      populate: (body) => this.populateExtensionDetails(body, extensionId)
+    });
+  }
+
+  /**
+   * Renders an extension's details and permissions
+   * @param {Element} body - The subview body
+   * @param {string} extensionId - The extension ID
+   */
+  async populateExtensionDetails(body, extensionId) {
+    const addon = await AddonManager.getAddonByID(extensionId);
+    if (!addon) {
+      appendXUL(body, `<label class="page-controls-subview-message" value="This extension is no longer installed."/>`, null, true);
+      return;
+    }
+    const { lines, other } = await this.getReadablePermissions(addon);
+    // A re-render may have started while this one was waiting; the last to finish wins
+    body.replaceChildren();
+
+    const details = [
+      ["Version", addon.version],
+      ["Author", addon.creator && addon.creator.name],
+      ["Last updated", addon.updateDate && addon.updateDate.toLocaleDateString()],
+      ["ID", addon.id]
+    ].filter(([, value]) => value);
+
+    const rows = details.map(([name, value]) => `
+      <div class="extension-detail">
+          <label class="extension-detail-name" value="${escapeXML(name)}"/>
+          <label class="extension-detail-value" value="${escapeXML(value)}" crop="center" tooltiptext="${escapeXML(value)}"/>
+      </div>`);
+    appendXUL(body, `<div id="extension-details">${rows.join("")}</div>`, null, true);
+
+    const status = this.extensionDetailsStatus;
+    if (status && status.extensionId === extensionId) {
+      appendXUL(body, `<label id="extension-details-status" class="extension-set-result"${status.failed ? ' failed="true"' : ""} value="${escapeXML(status.text)}"/>`, null, true);
+    }
+
+    const permissionLines = lines.map(line => `
+          <description class="extension-permission">${escapeXML(line)}</description>`);
+    if (other.length) {
+      permissionLines.push(`
+          <description class="extension-permission extension-permission-other">${escapeXML(`Also uses: ${other.join(", ")}`)}</description>`);
+    }
+    if (!permissionLines.length) {
+      permissionLines.push(`
+          <description class="extension-permission">This extension doesn't require any permissions.</description>`);
+    }
+    appendXUL(body, `
+      <div id="extension-permissions">
+          <label class="extension-detail-name" value="Permissions"/>${permissionLines.join("")}
+      </div>
+    `, null, true);
+
+    if (addon.permissions & AddonManager.PERM_CAN_UPGRADE) {
+      appendXUL(body, `
+        <div id="extension-details-updates" class="page-controls-subview-button" role="button" data-nav-row="">
+            <label value="Check for Updates"/>
+        </div>
+      `, null, true);
+      body.querySelector("#extension-details-updates").addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.checkExtensionForUpdates(extensionId);
+      });
+    }
+  }
+
+  /**
+   * Checks an extension for updates and installs one if found, reporting
+   * progress in its details subview
+   * @param {string} extensionId - The extension ID
+   */
+  async checkExtensionForUpdates(extensionId) {
+    const addon = await AddonManager.getAddonByID(extensionId);
+    if (!addon) return;
+
+    const setStatus = (text, failed = false) => {
+      this.extensionDetailsStatus = { extensionId, text, failed };
+      if (this.activeSubview && this.activeSubview.extensionId === extensionId) {
+        this.renderSubview();
+      }
+    };
+
+    if (!this.activeSubview || this.activeSubview.extensionId !== extensionId) {
+      this.showExtensionDetails(extensionId);
+    }
+    setStatus("Checking for updates…");
+    log("PanelManager", `Checking ${extensionId} for updates`);
+
+    addon.findUpdates({
+      onUpdateAvailable: (updatedAddon, install) => {
+        setStatus(`Installing version ${install.version}…`);
+        install.addListener({
+          onInstallEnded: () => setStatus(`Updated to version ${install.version}.`),
+          onDownloadFailed: () => setStatus("The update couldn't be downloaded.", true),
+          onInstallFailed: () => setStatus("The update couldn't be installed.", true)
+        });
+        install.install();
+      },
+      onNoUpdateAvailable: () => setStatus("No updates available."),
+      onUpdateFinished: (updatedAddon, error) => {
+        if (error !== AddonManager.UPDATE_STATUS_NO_ERROR) {
+          logError("PanelManager", `Update check failed for ${extensionId}`, error);
+          setStatus("Couldn't check for updates.", true);
+        }
+      }
+    }, AddonManager.UPDATE_WHEN_USER_REQUESTED);
+  }
+
+  // ============================================================================
+  // EXTENSION HEALTH
+  // ============================================================================
+
+  /**
+   * Watches add-on installs and extension process crashes so the panel
+   * button can show when extensions need attention, even while the panel
+   * is closed
+   */
+  setupExtensionHealthMonitor() {
+    if (this.installListener) return;
+
+    this.setupAddonListenerIfNeeded();
+
+    const onInstallChange = () => this.updateExtensionHealth();
+    this.installListener = {
+      onNewInstall: onInstallChange,
+      onInstallEnded: onInstallChange,
+      onInstallCancelled: onInstallChange,
+      onInstallFailed: onInstallChange,
+      onInstallPostponed: onInstallChange,
+      onDownloadFailed: onInstallChange
+    };
+    AddonManager.addInstallListener(this.installListener);
+
+    this.processShutdownObserver = {
+      observe: (subject) => {
+        const props = subject.QueryInterface(Ci.nsIPropertyBag2);
+        if (!props.hasKey("abnormal") || !props.hasKey("remoteType")) return;
+        if (props.getPropertyAsAString("remoteType") !== E10SUtils.EXTENSION_REMOTE_TYPE) return;
+        log("PanelManager", "Extension process crashed");
+        this.extensionProcessCrashed = true;
+        this.updateExtensionHealth();
+      }
+    };
+    Services.obs.addObserver(this.processShutdownObserver, "ipc:content-shutdown");
+
+    this.updateExtensionHealth();
+  }
+
+  /**
+   * Collects the extensions that need attention
+   * @returns {Promise<Object>} { updates, blocked, unsigned, pendingRestart, crashed }
+   */
+  async getExtensionHealth() {
+    const [addons, installs] = await Promise.all([
+      AddonManager.getAddonsByTypes(["extension"]),
+      AddonManager.getAllInstalls()
+    ]);
+    const userExtensions = addons.filter(addon => !addon?.isSystem);
+    const updateInstalls = installs.filter(install => install.existingAddon && !install.existingAddon.isSystem);
+
+    const updates = updateInstalls.filter(install =>
+      install.state === AddonManager.STATE_AVAILABLE || install.state === AddonManager.STATE_DOWNLOADED);
+    const postponed = updateInstalls.filter(install => install.state === AddonManager.STATE_POSTPONED);
+
+    return {
+      updates,
+      blocked: userExtensions.filter(addon =>
+        addon.blocklistState === Ci.nsIBlocklistService.STATE_BLOCKED ||
+        addon.blocklistState === Ci.nsIBlocklistService.STATE_SOFTBLOCKED),
+      unsigned: userExtensions.filter(addon => !addon.temporarilyInstalled &&
+        (addon.signedState === AddonManager.SIGNEDSTATE_MISSING || addon.signedState === AddonManager.SIGNEDSTATE_BROKEN)),
+      pendingRestart: [
+        ...postponed.map(install => install.existingAddon),
+        ...userExtensions.filter(addon => addon.pendingOperations !== AddonManager.PENDING_NONE)
+      ],
+      crashed: this.extensionProcessCrashed
+    };
+  }
+
+  /**
+   * Turns extension health into messages for the extensions section
+   * @param {Object} health - The result of getExtensionHealth()
+   * @returns {Array<Object>} Messages as { text, severity: "warning" | "error" }
+   */
+  describeExtensionHealth(health) {
+    const names = (addons) => [...new Set(addons.map(addon => addon.name))].join(", ");
+    const messages = [];
+
+    if (health.crashed) {
+      messages.push({ text: "The extension process crashed. Extensions restart the next time they're needed.", severity: "error" });
+    }
+    if (health.blocked.length) {
+      messages.push({ text: `Blocked for security or stability: ${names(health.blocked)}`, severity: "error" });
+    }
+    if (health.unsigned.length) {
+      messages.push({ text: `Couldn't be verified: ${names(health.unsigned)}`, severity: "error" });
+    }
+    if (health.updates.length) {
+      messages.push({ text: `Updates available: ${names(health.updates.map(install => install.existingAddon))}`, severity: "warning" });
+    }
+    if (health.pendingRestart.length) {
+      messages.push({ text: `Waiting for a restart: ${names(health.pendingRestart)}`, severity: "warning" });
+    }
+    return messages;
+  }
+
+  /**
+   * Refreshes the attention dot on the panel button and the health messages
+   * in the extensions section
+   */
+  async updateExtensionHealth() {
+    try {
+      const health = await this.getExtensionHealth();
+      const messages = this.describeExtensionHealth(health);
+
+      const button = document.querySelector(SELECTORS.BUTTON);
+      if (button) {
+        button.toggleAttribute("attention", messages.length > 0);
+        button.setAttribute("aria-label", messages.length ? "Page Controls (extensions need attention)" : "Page Controls");
+      }
+
+      const row = this.panel && this.panel.querySelector(SELECTORS.EXTENSION_HEALTH_ROW);
+      if (!row) return;
+
+      const list = row.querySelector("#extension-health-messages");
+      list.replaceChildren(...messages.map(message => {
+        const description = document.createXULElement("description");
+        description.className = "extension-health-message";
+        description.setAttribute("severity", message.severity);
+        description.textContent = message.text;
+        return description;
+      }));
+
+      const updateAllButton = row.querySelector("#extension-update-all");
+      updateAllButton.hidden = !health.updates.length;
+      updateAllButton.removeAttribute("aria-disabled");
+      updateAllButton.querySelector("label").setAttribute("value", `Update All (${health.updates.length})`);
+      row.hidden = !messages.length;
+    } catch (error) {
+      logError("PanelManager", "Error updating extension health", error);
+    }
+  }
+
+  /**
+   * Installs every pending extension update
+   */
+  async updateAllExtensions() {
+    const updateAllButton = this.panel && this.panel.querySelector("#extension-update-all");
+    if (updateAllButton) {
+      if (updateAllButton.getAttribute("aria-disabled") === "true") return;
+      updateAllButton.setAttribute("aria-disabled", "true");
+      updateAllButton.querySelector("label").setAttribute("value", "Updating…");
+    }
+
+    const { updates } = await this.getExtensionHealth();
+    log("PanelManager", `Installing ${updates.length} extension updates`);
+    const results = await Promise.allSettled(updates.map(install => install.install()));
+    results.forEach((result, index) => {
+      if (result.status === "rejected") {
+        logError("PanelManager", `Error updating ${updates[index].existingAddon.id}`, result.reason);
+      }
+    });
+
+    this.updateExtensionHealth();
+  }
+
+  // ============================================================================
+  // EXTENSION OPTIONS
+  // ============================================================================
+
+  /**
+   * Shows an extension's inline options page in a subview. The page keeps
+   * its state across tab changes, so the subview isn't re-rendered for them.
+   * @param {Object} addon - The addon
+   */
+  showExtensionOptions(addon) {
+    log("PanelManager", `Showing options for extension ${addon.id}`);
+    this.showSubview({
+      id: "extension-options",
+      title: `${addon.name} Options`,
+      extensionId: addon.id,
+      refreshOnTabChange: false,
+      populate: (body) => this.populateExtensionOptions(body, addon.id)
+    });
+  }
+
+  /**
+   * Embeds the options page with a button to open it in the add-ons manager
+   * @param {Element} body - The subview body
+   * @param {string} extensionId - The extension ID
+   */
+  async populateExtensionOptions(body, extensionId) {
+    const addon = await AddonManager.getAddonByID(extensionId);
+
+    appendXUL(body, `
+      <div id="extension-options-stack"></div>
+      <div id="extension-options-manager" class="page-controls-subview-button" role="button" data-nav-row="">
+          <label value="Open in Add-ons Manager"/>
+      </div>
+    `, null, true);
+    body.querySelector("#extension-options-manager").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.openAddonDetails(extensionId);
+      this.hidePanel();
+    });
+
+    if (!addon || !addon.isActive || !addon.optionsURL) {
+      appendXUL(body.querySelector("#extension-options-stack"), `<label class="page-controls-subview-message" value="This extension has no options page."/>`, null, true);
+      return;
+    }
+
+    try {
+      await this.createOptionsBrowser(body.querySelector("#extension-options-stack"), addon);
+    } catch (error) {
+      logError("PanelManager", `Error loading options for extension ${extensionId}`, error);
+    }
+  }
+
+  /**
+   * Creates a browser for an extension's options page, set up the way
+   * about:addons sets up its inline options browser, and loads the page
+   * @param {Element} container - The element to add the browser to
+   * @param {Object} addon - The addon
+   */
+  async createOptionsBrowser(container, addon) {
+    const policy = WebExtensionPolicy.getByID(addon.id);
+    const browser = document.createXULElement("browser");
+    browser.id = "extension-options-browser";
+    browser.setAttribute("type", "content");
+    browser.setAttribute("disableglobalhistory", "true");
+    browser.setAttribute("messagemanagergroup", "webext-browsers");
+    browser.setAttribute("transparent", "true");
+    browser.setAttribute("forcemessagemanager", "true");
+    browser.setAttribute("autocompletepopup", "PopupAutoComplete");
+    browser.setAttribute("initialBrowsingContextGroupId", policy.browsingContextGroupId);
+
+    const useRemoteSubframes = window.docShell.QueryInterface(Ci.nsILoadContext).useRemoteSubframes;
+    const loadRemote = E10SUtils.canLoadURIInRemoteType(addon.optionsURL, useRemoteSubframes, E10SUtils.EXTENSION_REMOTE_TYPE);
+    if (loadRemote) {
+      browser.setAttribute("remote", "true");
+      browser.setAttribute("remoteType", E10SUtils.EXTENSION_REMOTE_TYPE);
+    }
+
+    const ready = new Promise(resolve => {
+      browser.addEventListener(loadRemote ? "XULFrameLoaderCreated" : "load", resolve, { once: true, capture: true });
+    });
+    container.appendChild(browser);
+    await ready;
+    if (!browser.isConnected) return;
+
+    const { ExtensionParent } = this.getExtensionParentModule();
+    ExtensionParent.apiManager.emit("extension-browser-inserted", browser);
+
+    const messageManager = browser.messageManager;
+    messageManager.loadFrameScript("chrome://extensions/content/ext-browser-content.js", false, true);
+    messageManager.addMessageListener("Extension:BrowserResized", ({ data }) => {
+      browser.style.height = `${Math.min(data.height, CONFIG.OPTIONS_MAX_HEIGHT)}px`;
+    });
+    messageManager.sendAsyncMessage("Extension:InitBrowser", {
+      allowScriptsToClose: true,
+      blockParser: false,
+      maxWidth: 800,
+      stylesheets: addon.optionsBrowserStyle ? ["chrome://browser/content/extension.css"] : []
+    });
+
+    browser.fixupAndLoadURIString(addon.optionsURL, {
+      triggeringPrincipal: Services.scriptSecurityManager.getSystemPrincipal()
+    });
+  }
+
+  // ============================================================================
+  // EXTRAS FUNCTIONALITY
+  // ============================================================================
+
+  /**
+   * Shows the context menu for the extras function
+   * @param {Event} event - The click event
+   */
+  showExtrasContextMenu(event) {
+    const contextMenu = document.querySelector("#extras-context-menu");
+    if (contextMenu) {
+      // Position the menu at the mouse location
+      contextMenu.openPopupAtScreen(event.screenX, event.screenY, false);
+    }
+  }
+
+  /**
+   * Sets up event listeners for the extras context menu items
+   */
+  setupExtrasMenuListeners() {
+    log("PanelManager", "Setting up extras menu listeners");
+    
+    const clearCacheMenu = document.querySelector("#clear-cache-button");
+    if (clearCacheMenu) {
+      clearCacheMenu.addEventListener("command", () => {
+        log("PanelManager", "Clear cache command triggered");
+        this.clearCache();
+      });
+    }
+
+    const clearCookiesMenu = document.querySelector("#clear-cookies-button");
+    if (clearCookiesMenu) {
+      clearCookiesMenu.addEventListener("command", () => {
+        log("PanelManager", "Clear cookies command triggered");
+        this.clearCookies();
+      });
+    }
+
+    const inspectCookiesMenu = document.querySelector("#inspect-cookies-button");
+    if (inspectCookiesMenu) {
+      inspectCookiesMenu.addEventListener("command", () => {
+        log("PanelManager", "Inspect cookies command triggered");
+        this.showCookieInspector();
+      });
+    }
+
+    const clearSiteDataMenu = document.querySelector("#clear-site-data-button");
+    if (clearSiteDataMenu) {
+      clearSiteDataMenu.addEventListener("command", () => {
+        log("PanelManager", "Clear site data command triggered");
+        this.showClearSiteData();
+      });
+    }
+
+    const manageExtensionsMenu = document.querySelector("#manage-extensions-button");
+    if (manageExtensionsMenu) {
+      manageExtensionsMenu.addEventListener("command", () => {
+        log("PanelManager", "Manage extensions command triggered");
+        this.manageExtensions();
+      });
+    }
+
+    const extensionSetsMenu = document.querySelector("#extension-sets-button");
+    if (extensionSetsMenu) {
+      extensionSetsMenu.addEventListener("command", () => {
+        log("PanelManager", "Extension sets command triggered");
+        this.showExtensionSets();
+      });
+    }
+
+    const pagePermissionsMenu = document.querySelector("#page-permissions-button");
+    if (pagePermissionsMenu) {
+      pagePermissionsMenu.addEventListener("command", () => {
+        log("PanelManager", "Page permissions command triggered");
+        this.showPagePermissions();
+      });
+    }
+    
+    log("PanelManager", "Extras menu listeners setup complete");
+  }
+
+  /**
+   * Opens the clear site data subview with only the HTTP cache selected
+   */
+  clearCache() {
+    log("PanelManager", "Clear cache preset selected");
+    this.showClearSiteData(["http-cache"]);
+  }
+
+  /**
+   * Opens the clear site data subview with only cookies selected
+   */
+  clearCookies() {
+    log("PanelManager", "Clear cookies preset selected");
+    this.showClearSiteData(["cookies"]);
+  }
+
+  // ============================================================================
+  // CLEAR SITE DATA
+  // ============================================================================
+
+  /**
+   * Shows the clear site data subview for the current site
+   * @param {Array<string>} [selectedTypes] - SITE_DATA_TYPES IDs checked initially; all when omitted
+   */
+  showClearSiteData(selectedTypes = SITE_DATA_TYPES.map(type => type.id)) {
+    this.showSubview({
+      id: "clear-site-data",
+      title: "Clear Site Data",
+      populate: (body) => this.populateClearSiteData(body, selectedTypes)
+    });
+  }
+
+  /**
+   * Resolves the current tab's site for clearing
+   * @param {boolean} useBaseDomain - Clear the whole base domain rather than the origin
+   * @returns {Object|null} The principal, host and base domain, or null for pages without site data
+   */
+  getSiteDataScope(useBaseDomain) {
+    const principal = gBrowser.contentPrincipal;
+    if (!principal || !principal.isContentPrincipal || !["http", "https"].includes(principal.scheme)) {
+      return null;
+    }
+
+    let baseDomain = principal.host;
+    try {
+      baseDomain = principal.baseDomain || principal.host;
+    } catch (_) {}
+
+    return { principal, host: principal.host, baseDomain, useBaseDomain };
+  }
+
+  /**
+   * Renders the scope picker and data type checkboxes
+   * @param {Element} body - The subview body
+   * @param {Array<string>} selectedTypes - SITE_DATA_TYPES IDs checked initially
+   */
+  populateClearSiteData(body, selectedTypes) {
+    const scope = this.getSiteDataScope(false);
+    if (!scope) {
+      appendXUL(body, `<label class="page-controls-subview-message" value="This page has no site data to clear."/>`, null, true);
+      return;
+    }
+
+    const checkboxes = SITE_DATA_TYPES.map(type => `
+        <checkbox class="clear-site-data-type" data-nav-row="" data-type="${type.id}" label="${type.label}" checked="${selectedTypes.includes(type.id)}"/>`);
+
+    appendXUL(body, `
+      <div id="clear-site-data-form">
+          <menulist id="clear-site-data-scope" data-nav-row="" aria-label="Clear data from">
+              <menupopup>
+                  <menuitem value="origin" label="${escapeXML(scope.principal.origin)}"/>
+                  <menuitem value="site" label="${escapeXML(`All of ${scope.baseDomain}`)}"/>
+              </menupopup>
+          </menulist>
+          ${checkboxes.join("")}
+          <checkbox id="clear-site-data-reload" data-nav-row="" label="Reload page afterwards" checked="true"/>
+          <div id="clear-site-data-submit" class="page-controls-subview-button" role="button" data-nav-row="">
+              <label value="Clear"/>
+          </div>
+      </div>
+    `, null, true);
+
+    body.querySelector("#clear-site-data-scope").value = "origin";
+    body.querySelector("#clear-site-data-submit").addEventListener("click", async (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      const types = [...body.querySelectorAll(".clear-site-data-type")]
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.getAttribute("data-type"));
+      if (!types.length) return;
+
+      // Clear the origin shown in the form, even if the tab has navigated since
+      const useBaseDomain = body.querySelector("#clear-site-data-scope").value === "site";
+      const reload = body.querySelector("#clear-site-data-reload").checked;
+      await this.clearSiteData({ ...scope, useBaseDomain }, types, body, reload);
+    });
+  }
+
+  /**
+   * Clears the chosen data types and replaces the form with a summary
+   * @param {Object} scope - The scope from getSiteDataScope()
+   * @param {Array<string>} types - SITE_DATA_TYPES IDs to clear
+   * @param {Element} body - The subview body
+   * @param {boolean} reload - Reload the tab once cleared
+   */
+  async clearSiteData(scope, types, body, reload) {
+    const target = scope.useBaseDomain ? scope.baseDomain : scope.principal.origin;
+    log("PanelManager", `Clearing ${types.join(", ")} for ${target}`);
+
+    const removed = [];
+    const failed = [];
+    for (const typeId of types) {
+      const type = SITE_DATA_TYPES.find(entry => entry.id === typeId);
+      try {
+        removed.push(await this.clearSiteDataType(typeId, scope));
+      } catch (error) {
+        logError("PanelManager", `Error clearing ${typeId} for ${target}`, error);
+        failed.push(type.label);
+      }
+    }
+
+    const hadFocus = this.panel.contains(document.activeElement);
+    body.replaceChildren();
+    const lines = [
+      `<label class="page-controls-subview-message" value="${escapeXML(`Removed from ${target}:`)}"/>`,
+      ...removed.map(entry => `<label class="clear-site-data-result" value="${escapeXML(entry)}"/>`),
+      ...failed.map(label => `<label class="clear-site-data-result" failed="true" value="${escapeXML(`Couldn't clear ${label}`)}"/>`)
+    ];
+    appendXUL(body, `
+      <div id="clear-site-data-summary">
+          ${lines.join("\n          ")}
+          <div id="clear-site-data-done" class="page-controls-subview-button" role="button" data-nav-row="">
+              <label value="Done"/>
+          </div>
+      </div>
+    `, null, true);
+
+    body.querySelector("#clear-site-data-done").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.closeSubview();
+    });
+    if (hadFocus) {
+      this.focusFirstNavItem();
+    }
+
+    if (reload) {
+      log("PanelManager", "Refreshing tab after clearing site data");
+      gBrowser.reload();
+    }
+  }
+
+  /**
+   * Clears one data type
+   * @param {string} typeId - A SITE_DATA_TYPES ID
+   * @param {Object} scope - The scope from getSiteDataScope()
+   * @returns {Promise<string>} A summary line for what was removed
+   */
+  async clearSiteDataType(typeId, scope) {
+    const { nsIClearDataService } = Ci;
+
+    switch (typeId) {
+      case "http-cache":
+        await this.clearDataWithFlags(scope, nsIClearDataService.CLEAR_NETWORK_CACHE | nsIClearDataService.CLEAR_IMAGE_CACHE);
+        return "HTTP cache";
+      case "cookies": {
+        const count = this.countSiteCookies(scope);
+        await this.clearDataWithFlags(scope, nsIClearDataService.CLEAR_COOKIES);
+        return `${count} ${count === 1 ? "cookie" : "cookies"}`;
+      }
+      case "local-storage": {
+        const count = await this.clearQuotaClient(scope, "ls");
+        return `Local storage (${count} ${count === 1 ? "origin" : "origins"})`;
+      }
+      case "indexeddb": {
+        const count = await this.clearQuotaClient(scope, "idb");
+        return `IndexedDB (${count} ${count === 1 ? "origin" : "origins"})`;
+      }
+      case "service-workers":
+        await this.clearServiceWorkers(scope);
+        return "Service workers";
+      case "history":
+        await this.clearDataWithFlags(scope, nsIClearDataService.CLEAR_HISTORY);
+        return "History";
+      default:
+        throw new Error(`Unknown site data type ${typeId}`);
+    }
+  }
+
+  /**
+   * Runs the clear data service for the scope's origin or base domain
+   * @param {Object} scope - The scope from getSiteDataScope()
+   * @param {number} flags - nsIClearDataService flags
+   * @returns {Promise<void>} Resolves once the data is deleted
+   */
+  clearDataWithFlags(scope, flags) {
+    return new Promise((resolve, reject) => {
+      const callback = {
+        onDataDeleted: (failedFlags) => failedFlags
+          ? reject(new Error(`Clear data failed for flags ${failedFlags}`))
+          : resolve()
+      };
+
+      // The principal carries the tab's container, so origin clears stay inside it
+      if (!scope.useBaseDomain) {
+        Services.clearData.deleteDataFromPrincipal(scope.principal, true, flags, callback);
+      } else if (typeof Services.clearData.deleteDataFromSite === "function") {
+        Services.clearData.deleteDataFromSite(scope.baseDomain, this.getContainerPattern(scope), true, flags, callback);
+      } else if (flags === Ci.nsIClearDataService.CLEAR_COOKIES) {
+        Services.cookies.removeCookiesWithOriginAttributes(JSON.stringify(this.getContainerPattern(scope)), scope.baseDomain);
+        resolve();
+      } else {
+        log("PanelManager", "Site clearing without an origin attributes pattern; all containers are affected");
+        Services.clearData.deleteDataFromBaseDomain(scope.baseDomain, true, flags, callback);
+      }
+    });
+  }
+
+  /**
+   * Builds the origin attributes pattern matching the scope's container
+   * @param {Object} scope - The scope from getSiteDataScope()
+   * @returns {Object} The pattern
+   */
+  getContainerPattern(scope) {
+    const { userContextId, privateBrowsingId } = scope.principal.originAttributes;
+    return { userContextId, privateBrowsingId };
+  }
+
+  /**
+   * Counts the cookies that clearing the scope will remove
+   * @param {Object} scope - The scope from getSiteDataScope()
+   * @returns {number} The cookie count
+   */
+  countSiteCookies(scope) {
+    try {
+      return scope.useBaseDomain
+        ? Services.cookies.getCookiesWithOriginAttributes(JSON.stringify(this.getContainerPattern(scope)), scope.baseDomain).length
+        // getCookiesFromHost includes parent-domain cookies, but clearing an origin
+        // only removes cookies set for its exact host
+        : Services.cookies.getCookiesFromHost(scope.host, scope.principal.originAttributes)
+          .filter(cookie => cookie.rawHost === scope.host).length;
+    } catch (error) {
+      logError("PanelManager", "Error counting cookies", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Clears one quota manager client (localStorage or IndexedDB) for every
+   * origin in the scope
+   * @param {Object} scope - The scope from getSiteDataScope()
+   * @param {string} clientType - "ls" or "idb"
+   * @returns {Promise<number>} The number of origins cleared
+   */
+  async clearQuotaClient(scope, clientType) {
+    const principals = scope.useBaseDomain
+      ? await this.getQuotaPrincipalsForBaseDomain(scope.baseDomain, scope.principal.userContextId)
+      : [scope.principal];
+
+    for (const principal of principals) {
+      const request = typeof Services.qms.clearStoragesForClient === "function"
+        ? Services.qms.clearStoragesForClient(principal, clientType)
+        : Services.qms.clearStoragesForPrincipal(principal, "", clientType);
+      await this.waitForQuotaRequest(request);
+    }
+    return principals.length;
+  }
+
+  /**
+   * Lists the principals with quota-managed storage under a base domain
+   * @param {string} baseDomain - The base domain
+   * @param {number} userContextId - The container to match
+   * @returns {Promise<Array<nsIPrincipal>>} Matching principals
+   */
+  async getQuotaPrincipalsForBaseDomain(baseDomain, userContextId) {
+    const results = await new Promise((resolve, reject) => {
+      Services.qms.getUsage((request) => {
+        request.resultCode === Cr.NS_OK
+          ? resolve(request.result)
+          : reject(new Error(`Quota usage request failed: ${request.resultCode}`));
+      });
+    });
+
+    return results
+      .map(result => Services.scriptSecurityManager.createContentPrincipalFromOrigin(result.origin))
+      .filter(principal => {
         try {
-          const addon = await AddonManager.getAddonByID(extensionId);
-          if (addon) {
-            const tempAddon = { ...addon, isActive: isEnabled };
-            const tooltipText = this.getExtensionTooltip(tempAddon);
-            image.setAttribute('tooltiptext', tooltipText);
-          }
-        } catch (error) {
-          logError("PanelManager", `Error updating tooltip for extension ${extensionId}`, error);
+          return principal.baseDomain === baseDomain && principal.userContextId === userContextId;
+        } catch (_) {
+          return false;
         }
-      }
+      });
+  }
+
+  /**
+   * Waits for a quota manager request to finish
+   * @param {nsIQuotaRequest} request - The request
+   * @returns {Promise<void>} Resolves when the request succeeds
+   */
+  waitForQuotaRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.callback = () => {
+        request.resultCode === Cr.NS_OK
+          ? resolve()
+          : reject(new Error(`Quota request failed: ${request.resultCode}`));
+      };
+    });
+  }
+
+  /**
+   * Unregisters the scope's service workers
+   * @param {Object} scope - The scope from getSiteDataScope()
+   */
+  async clearServiceWorkers(scope) {
+    const { ServiceWorkerCleanUp } = ChromeUtils.importESModule("resource://gre/modules/ServiceWorkerCleanUp.sys.mjs");
+
+    if (!scope.useBaseDomain) {
+      await ServiceWorkerCleanUp.removeFromPrincipal(scope.principal);
+    } else if (typeof ServiceWorkerCleanUp.removeFromSite === "function") {
+      await ServiceWorkerCleanUp.removeFromSite(scope.baseDomain, this.getContainerPattern(scope));
+    } else {
+      await ServiceWorkerCleanUp.removeFromBaseDomain(scope.baseDomain);
     }
   }
 
-  // ============================================================================
-  // EXTENSION CONTEXT MENU
-  // ============================================================================
+  // ============================================================================
+  // CONTAINERS
+  // ============================================================================
+
+  /**
+   * Checks whether container tabs are enabled
+   * @returns {boolean} True if enabled
+   */
+  areContainersEnabled() {
+    return Services.prefs.getBoolPref("privacy.userContext.enabled", false);
+  }
+
+  /**
+   * Gets the selected tab's container ID
+   * @returns {number} The userContextId, 0 for no container
+   */
+  getCurrentUserContextId() {
+    return gBrowser.selectedTab.userContextId || 0;
+  }
+
+  /**
+   * Gets a container's display name
+   * @param {number} userContextId - The container ID
+   * @returns {string} The container name
+   */
+  getContainerName(userContextId) {
+    return userContextId
+      ? ContextualIdentityService.getUserContextLabel(userContextId)
+      : "No Container";
+  }
+
+  /**
+   * Opens a URL in a new foreground tab in the selected tab's container
+   * @param {string} url - The URL to open
+   * @returns {Element} The new tab
+   */
+  openTabInCurrentContainer(url) {
+    const userContextId = this.getCurrentUserContextId();
+    const principal = Services.scriptSecurityManager.getSystemPrincipal();
+    const newTab = gBrowser.addTab(url, { triggeringPrincipal: principal, userContextId });
+    gBrowser.selectedTab = newTab;
+    return newTab;
+  }
 
   /**
-   * Ensures the extensions menupopup exists under #mainPopupSet and returns it
-   * @returns {Element|null}
+   * Updates the container section with the selected tab's container
    */
-  ensureExtensionContextMenu() {
-    const popupSet = document.querySelector(SELECTORS.MAIN_POPUP_SET);
-    if (!popupSet) {
-      logError("PanelManager", "#mainPopupSet not found for extension context menu", new Error("Missing mainPopupSet"));
-      return null;
+  updateContainerStatus() {
+    const icon = document.querySelector("#container-status-icon");
+    const label = document.querySelector("#container-status-label");
+    if (!icon || !label) return;
+
+    const userContextId = this.getCurrentUserContextId();
+    const identity = userContextId && ContextualIdentityService.getPublicIdentityFromId(userContextId);
+
+    icon.className = identity
+      ? `identity-icon-${identity.icon} identity-color-${identity.color}`
+      : "";
+    icon.toggleAttribute("no-container", !identity);
+    label.setAttribute("value", this.getContainerName(identity ? userContextId : 0));
+  }
+
+  /**
+   * Per-section listener setup for the container section
+   */
+  setupContainerSectionListeners() {
+    const menuButton = document.querySelector("#container-menu-button");
+    if (menuButton) {
+      menuButton.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.showContainerMenu(event);
+      });
     }
+  }
 
-    let menu = document.querySelector("#extension-context-menu");
+  /**
+   * Ensures the container menupopup exists under #mainPopupSet and returns it
+   * @returns {Element|null}
+   */
+  ensureContainerMenu() {
+    let menu = document.querySelector("#container-context-menu");
     if (menu) {
       return menu;
     }
 
-    const menuXUL = `
-      <menupopup id="extension-context-menu">
-        <menuitem id="ext-menu-pin" label="Pin to Toolbar"/>
-        <menuseparator/>
-        <menuitem id="ext-menu-manage" label="Manage Extension"/>
-        <menuitem id="ext-menu-remove" label="Remove Extension"/>
-        <menuitem id="ext-menu-report" label="Report Extension"/>
+    const popupSet = document.querySelector(SELECTORS.MAIN_POPUP_SET);
+    if (!popupSet) return null;
+
+    appendXUL(popupSet, `
+      <menupopup id="container-context-menu" data-page-controls-popup="">
+        <menu id="container-reopen-menu" label="Reopen in Container">
+          <menupopup id="container-reopen-popup"/>
+        </menu>
+        <menu id="container-assign-menu" label="Always Open This Site In">
+          <menupopup id="container-assign-popup"/>
+        </menu>
       </menupopup>
-    `;
+    `, null, true);
 
-    appendXUL(popupSet, menuXUL, null, true);
-    // appendXUL with XUL returns a DocumentFragment; query the actual node
-    return document.querySelector("#extension-context-menu");
+    menu = document.querySelector("#container-context-menu");
+    document.querySelector("#container-reopen-popup").addEventListener("command", (event) => {
+      const userContextId = Number(event.target.getAttribute("data-usercontextid"));
+      this.reopenTabInContainer(gBrowser.selectedTab, userContextId);
+      this.hidePanel();
+    });
+    document.querySelector("#container-assign-popup").addEventListener("command", (event) => {
+      const value = event.target.getAttribute("data-usercontextid");
+      this.setContainerAssignment(gBrowser.currentURI.host, value === "" ? null : Number(value));
+    });
+    return menu;
   }
 
   /**
-   * One-time wiring for extension menu items
+   * Shows the container menu with the current container choices
+   * @param {Event} event - The click event
    */
-  setupExtensionMenuListeners() {
-    const menu = document.querySelector("#extension-context-menu");
+  showContainerMenu(event) {
+    const menu = this.ensureContainerMenu();
     if (!menu) return;
 
-    const pinItem = document.querySelector("#ext-menu-pin");
-    if (pinItem) {
-      pinItem.addEventListener("command", () => {
-        if (this.currentContextMenuExtensionId) {
-          this.pinExtensionToToolbar(this.currentContextMenuExtensionId);
-        }
-      });
-    }
+    const currentId = this.getCurrentUserContextId();
+    const uri = gBrowser.currentURI;
+    const isWebPage = uri && (uri.schemeIs("http") || uri.schemeIs("https"));
+    const identities = [{ userContextId: 0 }, ...ContextualIdentityService.getPublicIdentities()];
 
-    const manageItem = document.querySelector("#ext-menu-manage");
-    if (manageItem) {
-      manageItem.addEventListener("command", async () => {
-        if (this.currentContextMenuExtensionId) {
-          await this.manageExtension(this.currentContextMenuExtensionId);
-        }
-      });
+    const reopenPopup = document.querySelector("#container-reopen-popup");
+    reopenPopup.replaceChildren();
+    for (const identity of identities.filter(entry => entry.userContextId !== currentId)) {
+      reopenPopup.appendChild(this.createContainerMenuItem(identity));
     }
 
-    const removeItem = document.querySelector("#ext-menu-remove");
-    if (removeItem) {
-      removeItem.addEventListener("command", async () => {
-        if (this.currentContextMenuExtensionId) {
-          await this.removeExtension(this.currentContextMenuExtensionId);
-        }
-      });
+    const assignMenu = document.querySelector("#container-assign-menu");
+    const assignPopup = document.querySelector("#container-assign-popup");
+    assignMenu.disabled = !isWebPage;
+    assignPopup.replaceChildren();
+    if (isWebPage) {
+      const assigned = this.getContainerAssignments()[uri.host];
+      const anyItem = document.createXULElement("menuitem");
+      anyItem.setAttribute("label", "Any Container");
+      anyItem.setAttribute("type", "radio");
+      anyItem.setAttribute("data-usercontextid", "");
+      anyItem.setAttribute("checked", (assigned === undefined).toString());
+      assignPopup.appendChild(anyItem);
+      assignPopup.appendChild(document.createXULElement("menuseparator"));
+
+      for (const identity of identities) {
+        const item = this.createContainerMenuItem(identity);
+        item.setAttribute("type", "radio");
+        item.setAttribute("checked", (assigned === identity.userContextId).toString());
+        assignPopup.appendChild(item);
+      }
     }
 
-    const reportItem = document.querySelector("#ext-menu-report");
-    if (reportItem) {
-      reportItem.addEventListener("command", () => {
-        if (this.currentContextMenuExtensionId) {
-          this.reportExtension(this.currentContextMenuExtensionId);
-        }
-      });
+    menu.openPopup(event.currentTarget || event.target, "after_end", 0, 0, false, false, event);
+  }
+
+  /**
+   * Creates a menuitem for a container, styled with its icon and color
+   * @param {Object} identity - A contextual identity, or { userContextId: 0 }
+   * @returns {Element} The menuitem
+   */
+  createContainerMenuItem(identity) {
+    const item = document.createXULElement("menuitem");
+    item.setAttribute("label", this.getContainerName(identity.userContextId));
+    item.setAttribute("data-usercontextid", String(identity.userContextId));
+    if (identity.userContextId) {
+      item.className = `menuitem-iconic identity-icon-${identity.icon} identity-color-${identity.color}`;
     }
+    return item;
+  }
 
-    this.extensionMenuListenersSetup = true;
+  /**
+   * Opens a tab's page in another container, next to the original tab
+   * @param {Element} tab - The tab to reopen
+   * @param {number} userContextId - The target container, 0 for none
+   * @param {nsIURI} [uri] - The URI to open; defaults to the tab's current URI
+   * @returns {Element} The new tab
+   */
+  reopenTabInContainer(tab, userContextId, uri = tab.linkedBrowser.currentURI) {
+    log("PanelManager", `Reopening ${uri.spec} in container ${userContextId}`);
+    const newTab = gBrowser.addTab(uri.spec, {
+      userContextId,
+      index: tab._tPos + 1,
+      triggeringPrincipal: Services.scriptSecurityManager.createContentPrincipal(uri, { userContextId })
+    });
+    if (gBrowser.selectedTab === tab) {
+      gBrowser.selectedTab = newTab;
+    }
+    return newTab;
   }
 
   /**
-   * Shows context menu for extension
-   * @param {Event} event - The context menu event
-   * @param {string} extensionId - The extension ID
+   * Reads the host-to-container assignments
+   * @returns {Object} Map of host to userContextId
    */
-  showExtensionContextMenu(event, extensionId) {
+  getContainerAssignments() {
     try {
-      const menu = this.ensureExtensionContextMenu();
-      if (!menu) return;
+      return JSON.parse(Services.prefs.getStringPref(PREFS.CONTAINER_ASSIGNMENTS, "{}"));
+    } catch (error) {
+      logError("PanelManager", `Invalid JSON in ${PREFS.CONTAINER_ASSIGNMENTS}`, error);
+      return {};
+    }
+  }
 
-      // Record which extension this menu is for
-      this.currentContextMenuExtensionId = extensionId;
+  /**
+   * Assigns a host to a container, or removes its assignment
+   * @param {string} host - The host
+   * @param {number|null} userContextId - The container, or null for any container
+   */
+  setContainerAssignment(host, userContextId) {
+    const assignments = this.getContainerAssignments();
+    if (userContextId === null) {
+      delete assignments[host];
+    } else {
+      assignments[host] = userContextId;
+    }
+    Services.prefs.setStringPref(PREFS.CONTAINER_ASSIGNMENTS, JSON.stringify(assignments));
+    log("PanelManager", `Container assignment for ${host}: ${userContextId}`);
 
-      if (!this.extensionMenuListenersSetup) {
-        this.setupExtensionMenuListeners();
-      }
+    if (userContextId !== null && userContextId !== this.getCurrentUserContextId()) {
+      this.enforceContainerAssignment(gBrowser.selectedBrowser, gBrowser.currentURI);
+    }
+  }
 
-      // Anchor to the wrapper for automatic positioning; fallback if needed
-      const anchor = event.currentTarget || event.target;
-      if (typeof menu.openPopup === "function") {
-        menu.openPopup(anchor, "after_start", 0, 0, true, null, event);
-      } else if (typeof menu.openPopupAtScreen === "function") {
-        menu.openPopupAtScreen(event.screenX, event.screenY, true);
-        log("PanelManager", `Context menu opened for extension ${extensionId} at screen position ${event.screenX}, ${event.screenY}`);
+  /**
+   * Watches top-level navigations so assigned sites open in their container
+   */
+  setupContainerAssignmentListener() {
+    if (this.tabsProgressListener) return;
+
+    this.tabsProgressListener = {
+      onLocationChange: (browser, webProgress, request, location, flags) => {
+        if (!webProgress.isTopLevel || (flags & Ci.nsIWebProgressListener.LOCATION_CHANGE_SAME_DOCUMENT)) return;
+        this.enforceContainerAssignment(browser, location);
       }
+    };
+    gBrowser.addTabsProgressListener(this.tabsProgressListener);
+  }
 
-      this.currentContextMenu = menu;
-      log("PanelManager", `Context menu opened for extension ${extensionId}`);
+  /**
+   * Replaces a tab with one in the assigned container when its site has an
+   * assignment that differs from the tab's container. Pinned tabs are left alone.
+   * @param {Element} browser - The tab's browser
+   * @param {nsIURI} location - The loaded URI
+   */
+  enforceContainerAssignment(browser, location) {
+    try {
+      if (!this.areContainersEnabled() || !location || !(location.schemeIs("http") || location.schemeIs("https"))) return;
+
+      const assigned = this.getContainerAssignments()[location.host];
+      if (assigned === undefined) return;
+      if (assigned && !ContextualIdentityService.getPublicIdentityFromId(assigned)) return;
+
+      const tab = gBrowser.getTabForBrowser(browser);
+      if (!tab || tab.pinned || (tab.userContextId || 0) === assigned) return;
+
+      this.reopenTabInContainer(tab, assigned, location);
+      gBrowser.removeTab(tab);
     } catch (error) {
-      logError("PanelManager", "Error showing extension context menu", error);
+      logError("PanelManager", "Error enforcing container assignment", error);
     }
   }
 
+  // ============================================================================
+  // COOKIE INSPECTOR
+  // ============================================================================
+
   /**
-   * Gets extension information by ID
-   * @param {string} extensionId - The extension ID
-   * @returns {Object|null} Extension information or null if not found
+   * Shows the cookie inspector subview for the current site
    */
-  getExtensionInfo(extensionId) {
+  showCookieInspector() {
+    log("PanelManager", "Showing cookie inspector");
+    this.showSubview({
+      id: "cookies",
+      title: () => `Cookies (${this.getSiteCookies().length})`,
+      populate: (body) => this.populateCookieInspector(body)
+    });
+  }
+
+  /**
+   * Gets the cookies the selected tab's site can see in its container: the
+   * base domain's unpartitioned cookies, including parent-domain cookies, plus
+   * every cookie partitioned under this site
+   * @returns {Array<nsICookie>} The cookies, sorted by domain then name
+   */
+  getSiteCookies() {
+    const scope = this.getSiteDataScope(true);
+    if (!scope) return [];
+
+    const containerPattern = this.getContainerPattern(scope);
+    const cookies = new Map();
+    const addCookie = (cookie) => {
+      const key = [cookie.host, cookie.name, cookie.path, cookie.originAttributes.partitionKey].join("|");
+      cookies.set(key, cookie);
+    };
+
     try {
-      const addon = AddonManager.getAddonByID(extensionId);
-      if (addon) {
-        return {
-          id: addon.id,
-          name: addon.name,
-          isActive: addon.isActive,
-          iconURL: addon.iconURL
-        };
-      }
-      return null;
+      Services.cookies.getCookiesWithOriginAttributes(JSON.stringify(containerPattern), scope.baseDomain)
+        .filter(cookie => !cookie.originAttributes.partitionKey)
+        .forEach(addCookie);
+      Services.cookies.getCookiesWithOriginAttributes(JSON.stringify({
+        ...containerPattern,
+        partitionKeyPattern: { baseDomain: scope.baseDomain }
+      })).forEach(addCookie);
     } catch (error) {
-      logError("PanelManager", "Error getting extension info", error);
-      return null;
+      logError("PanelManager", "Error reading site cookies", error);
     }
+
+    return [...cookies.values()].sort((a, b) =>
+      a.host.localeCompare(b.host) || a.name.localeCompare(b.name));
   }
 
   /**
-   * Creates the extension context menu using XUL menupopup
-   * @param {Object} addon - Extension information
-   * @param {number} x - X position for menu
-   * @param {number} y - Y position for menu
-   * @returns {Element} The context menu element
+   * Renders the cookie list for the selected tab
+   * @param {Element} body - The subview body
    */
-  // Deprecated: menu is now created once in ensureExtensionContextMenu()
-  createExtensionContextMenu() { return this.ensureExtensionContextMenu(); }
+  populateCookieInspector(body) {
+    const scope = this.getSiteDataScope(true);
+    if (!scope) {
+      appendXUL(body, `<label class="page-controls-subview-message" value="This page has no cookies."/>`, null, true);
+      return;
+    }
+
+    const cookies = this.getSiteCookies();
+    if (!cookies.length) {
+      appendXUL(body, `<label class="page-controls-subview-message" value="${escapeXML(`No cookies for ${scope.baseDomain}.`)}"/>`, null, true);
+      return;
+    }
+
+    const list = document.createElement("div");
+    list.id = "cookie-inspector-list";
+    cookies.forEach(cookie => list.appendChild(this.createCookieRow(cookie)));
+    body.appendChild(list);
+
+    appendXUL(body, `
+      <div id="cookie-inspector-delete-all" class="page-controls-subview-button" role="button" data-nav-row="">
+          <label value="${escapeXML(`Delete All ${cookies.length} Cookies`)}"/>
+      </div>
+    `, null, true);
+
+    body.querySelector("#cookie-inspector-delete-all").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.removeCookies(cookies);
+    });
+  }
 
   /**
-   * Sets up click outside handler to close context menu
+   * Creates a row describing one cookie, with a delete button
+   * @param {nsICookie} cookie - The cookie
+   * @returns {Element} The row element
    */
-  setupContextMenuCloseHandler() {}
+  createCookieRow(cookie) {
+    const details = [
+      `${cookie.host}${cookie.path}`,
+      this.formatCookieExpiry(cookie),
+      `SameSite=${COOKIE_SAME_SITE[cookie.sameSite] || "Unset"}`,
+      cookie.isSecure ? "Secure" : "",
+      cookie.isHttpOnly ? "HttpOnly" : "",
+      cookie.originAttributes.partitionKey ? `Partitioned ${cookie.originAttributes.partitionKey}` : ""
+    ].filter(Boolean);
+
+    const fragment = window.MozXULElement.parseXULToFragment(`
+      <div class="cookie-inspector-row" data-nav-row="" session="${cookie.isSession}">
+          <div class="cookie-inspector-text">
+              <label class="cookie-inspector-name" crop="end"/>
+              <label class="cookie-inspector-details" crop="end"/>
+          </div>
+          <image class="urlbar-icon cookie-inspector-delete" role="button"/>
+      </div>
+    `);
+    const row = fragment.firstElementChild;
+
+    row.querySelector(".cookie-inspector-name").setAttribute("value", cookie.name || "(no name)");
+    row.querySelector(".cookie-inspector-details").setAttribute("value", details.join(" · "));
+    row.setAttribute("tooltiptext", [cookie.name, ...details].join("\n"));
+
+    const deleteButton = row.querySelector(".cookie-inspector-delete");
+    deleteButton.setAttribute("aria-label", `Delete cookie ${cookie.name}`);
+    deleteButton.setAttribute("tooltiptext", "Delete");
+    deleteButton.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.removeCookies([cookie]);
+    });
+
+    return row;
+  }
 
   /**
-   * Hides the extension context menu
+   * Formats a cookie's expiry for display
+   * @param {nsICookie} cookie - The cookie
+   * @returns {string} "Session" or the expiry date
    */
-  hideExtensionContextMenu() {
-    const menu = document.querySelector("#extension-context-menu");
-    if (menu && typeof menu.hidePopup === "function") {
-      menu.hidePopup();
+  formatCookieExpiry(cookie) {
+    if (cookie.isSession) {
+      return "Session";
     }
-    this.currentContextMenu = null;
-    this.currentContextMenuExtensionId = null;
+    // Older builds report expiry in seconds, newer ones in milliseconds
+    const expiry = cookie.expiry > 1e11 ? cookie.expiry : cookie.expiry * 1000;
+    return `Expires ${new Date(expiry).toLocaleString()}`;
   }
 
   /**
-   * Pins extension to toolbar
-   * @param {string} extensionId - The extension ID
+   * Removes cookies and re-renders the inspector
+   * @param {Array<nsICookie>} cookies - The cookies to remove
    */
-  pinExtensionToToolbar(extensionId) {
-    try {
-      log("PanelManager", `Pinning extension ${extensionId} to toolbar`);
-      
-      // Get the extension addon
-      const addon = WebExtensionPolicy.getByID(extensionId);
-      if (!addon) {
-        log("PanelManager", `Extension ${extensionId} not found for pinning`);
-        return;
-      }
-      
-      // Try to pin the extension to the toolbar
-      // This uses the unified extensions API
+  removeCookies(cookies) {
+    let removedCount = 0;
+    for (const cookie of cookies) {
       try {
-        const policy = WebExtensionPolicy.getByID(extensionId);
-        const hasUnified = typeof gUnifiedExtensions !== "undefined" && gUnifiedExtensions;
-        if (policy && hasUnified) {
-          // Prefer a Unified Extensions API if present
-          if (typeof gUnifiedExtensions.togglePinned === "function") {
-            gUnifiedExtensions.togglePinned(policy);
-            log("PanelManager", `Extension ${extensionId} pin state toggled via gUnifiedExtensions.togglePinned`);
-          } else if (typeof gUnifiedExtensions.togglePinnedFor === "function") {
-            gUnifiedExtensions.togglePinnedFor(policy);
-            log("PanelManager", `Extension ${extensionId} pin state toggled via gUnifiedExtensions.togglePinnedFor`);
-          } else {
-            // Fallback: try action object methods if they exist
-            const action = gUnifiedExtensions.browserActionFor(policy);
-            if (action) {
-              if (typeof action.setPinned === "function") {
-                const pinned = !!(action.pinned);
-                action.setPinned(!pinned);
-                log("PanelManager", `Extension ${extensionId} pin state set to ${!pinned} via action.setPinned`);
-              } else {
-                log("PanelManager", "Pin API not available on action; opening manage page instead");
-                this.manageExtension(extensionId);
-              }
-            }
-          }
-        } else {
-          // Last resort: open manage page where user can pin
-          this.manageExtension(extensionId);
-        }
+        Services.cookies.remove(cookie.host, cookie.name, cookie.path, cookie.originAttributes);
+        removedCount++;
       } catch (error) {
-        logError("PanelManager", "Error pinning extension to toolbar", error);
+        logError("PanelManager", `Failed to remove cookie ${cookie.name}`, error);
+      }
+    }
+
+    log("PanelManager", `Removed ${removedCount} of ${cookies.length} cookies`);
+    const hadFocus = this.panel.contains(document.activeElement);
+    this.renderSubview();
+    if (hadFocus) {
+      this.focusFirstNavItem();
+    }
+  }
+
+  /**
+   * Opens the extensions management page
+   */
+  manageExtensions() {
+    log("PanelManager", "Opening extensions management");
+    try {
+      // Open about:addons in a new tab with proper principal
+      const principal = Services.scriptSecurityManager.getSystemPrincipal();
+      const newTab = gBrowser.addTab("about:addons", { triggeringPrincipal: principal });
+      
+      // Switch to the new tab
+      gBrowser.selectedTab = newTab;
+    } catch (error) {
+      logError("PanelManager", "Error opening extensions management", error);
+    }
+    this.hidePanel();
+  }
+
+  /**
+   * Shows every permission for the current site in a subview
+   */
+  showPagePermissions() {
+    log("PanelManager", "Showing page permissions");
+    this.showSubview({
+      id: "page-permissions",
+      title: "Page Permissions",
+      populate: (body) => this.populatePagePermissions(body)
+    });
+  }
+
+  // ============================================================================
+  // PAGE PERMISSIONS
+  // ============================================================================
+
+  /**
+   * Gets the permission IDs to list: the common ones plus any other
+   * permission already stored for the principal
+   * @param {nsIPrincipal} principal - The site principal
+   * @returns {Array<string>} Permission IDs
+   */
+  getPagePermissionIds(principal) {
+    const ids = [...CONFIG.PAGE_PERMISSIONS];
+    for (const permission of SitePermissions.getAllByPrincipal(principal)) {
+      if (!ids.includes(permission.id)) {
+        ids.push(permission.id);
       }
-      
-      this.hidePanel();
-    } catch (error) {
-      logError("PanelManager", "Error in pinExtensionToToolbar", error);
     }
+    return ids;
   }
 
   /**
-   * Manages extension (opens extension details)
-   * @param {string} extensionId - The extension ID
+   * Renders the permission list for the selected tab
+   * @param {Element} body - The subview body
    */
-  async manageExtension(extensionId) {
+  populatePagePermissions(body) {
+    const browser = gBrowser.selectedBrowser;
+    const principal = browser.contentPrincipal;
+
+    if (!principal || !SitePermissions.isSupportedPrincipal(principal)) {
+      appendXUL(body, `<label class="page-controls-subview-message" value="Permissions aren't available for this page."/>`, null, true);
+      return;
+    }
+
+    appendXUL(body, `<label class="page-controls-subview-message" value="${escapeXML(gBrowser.currentURI.displayHost || principal.origin)}"/>`, null, true);
+
+    for (const permissionId of this.getPagePermissionIds(principal)) {
+      body.appendChild(this.createPermissionRow(browser, principal, permissionId));
+    }
+
+    appendXUL(body, `
+      <div id="page-permissions-reset" class="page-controls-subview-button" role="button" data-nav-row="">
+          <label value="Reset All for This Site"/>
+      </div>
+    `, null, true);
+
+    body.querySelector("#page-permissions-reset").addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      this.resetPagePermissions();
+    });
+  }
+
+  /**
+   * Creates a row with a permission's label and a state menulist
+   * @param {Element} browser - The selected browser
+   * @param {nsIPrincipal} principal - The site principal
+   * @param {string} permissionId - The permission ID
+   * @returns {Element} The row element
+   */
+  createPermissionRow(browser, principal, permissionId) {
+    const label = SitePermissions.getPermissionLabel(permissionId) || permissionId;
+    const { state } = SitePermissions.getForPrincipal(principal, permissionId, browser);
+
+    const row = document.createElement("div");
+    row.className = "page-permission-row";
+    row.setAttribute("data-permission-id", permissionId);
+    row.setAttribute("data-nav-row", "");
+
+    const labelElement = document.createXULElement("label");
+    labelElement.setAttribute("value", label);
+    labelElement.setAttribute("crop", "end");
+    row.appendChild(labelElement);
+
+    const menulist = document.createXULElement("menulist");
+    menulist.setAttribute("aria-label", label);
+    const menupopup = document.createXULElement("menupopup");
+    menulist.appendChild(menupopup);
+
+    // getAvailableStates() can return SitePermissions' own array, so copy before adding to it
+    const states = [...SitePermissions.getAvailableStates(permissionId)];
+    if (!states.includes(state)) {
+      states.push(state);
+    }
+    for (const availableState of states) {
+      const item = document.createXULElement("menuitem");
+      item.setAttribute("label", SitePermissions.getMultichoiceStateLabel(permissionId, availableState));
+      item.setAttribute("value", String(availableState));
+      menupopup.appendChild(item);
+    }
+    menulist.value = String(state);
+
+    menulist.addEventListener("command", () => {
+      this.setPagePermission(permissionId, Number(menulist.value));
+    });
+    row.appendChild(menulist);
+
+    return row;
+  }
+
+  /**
+   * Sets a permission for the selected tab's site. "Always Ask" removes the
+   * stored permission so the site prompts again.
+   * @param {string} permissionId - The permission ID
+   * @param {number} state - A SitePermissions state
+   */
+  setPagePermission(permissionId, state) {
     try {
-      log("PanelManager", `Managing extension ${extensionId}`);
+      const browser = gBrowser.selectedBrowser;
+      const principal = browser.contentPrincipal;
 
-      // Open only the extension's declared optionsUrl when present
-      const addon = await AddonManager.getAddonByID(extensionId);
-      const optionsUrl = addon && addon.optionsUrl;
-      if (optionsUrl) {
-        const principal = Services.scriptSecurityManager.getSystemPrincipal();
-        const tab = gBrowser.addTab(optionsUrl, { triggeringPrincipal: principal });
-        gBrowser.selectedTab = tab;
+      if (state === SitePermissions.UNKNOWN) {
+        SitePermissions.removeFromPrincipal(principal, permissionId, browser);
       } else {
-        log("PanelManager", `No optionsUrl for extension ${extensionId}`);
+        SitePermissions.setForPrincipal(principal, permissionId, state, SitePermissions.SCOPE_PERSISTENT, browser);
       }
-      
-      this.hidePanel();
+
+      log("PanelManager", `Permission ${permissionId} set to ${state} for ${principal.origin}`);
+      this.refreshPermissionIndicators();
     } catch (error) {
-      logError("PanelManager", "Error managing extension", error);
+      logError("PanelManager", `Error setting permission ${permissionId}`, error);
     }
   }
 
   /**
-   * Removes/uninstalls extension
-   * @param {string} extensionId - The extension ID
+   * Removes every stored and temporary permission for the selected tab's site
    */
-  async removeExtension(extensionId) {
+  resetPagePermissions() {
     try {
-      log("PanelManager", `Removing extension ${extensionId}`);
-      
-      // Get the extension addon
-      const addon = await AddonManager.getAddonByID(extensionId);
-      if (!addon) {
-        log("PanelManager", `Extension ${extensionId} not found for removal`);
-        return;
-      }
-      
-      // Show confirmation dialog
-      const confirmed = Services.prompt.confirm(
-        window,
-        "Remove Extension",
-        `Are you sure you want to remove "${addon.name}"? This action cannot be undone.`
-      );
-      
-      if (!confirmed) {
-        log("PanelManager", `Extension removal cancelled for ${extensionId}`);
-        return;
+      const browser = gBrowser.selectedBrowser;
+      const principal = browser.contentPrincipal;
+
+      for (const permission of SitePermissions.getAllByPrincipal(principal)) {
+        SitePermissions.removeFromPrincipal(principal, permission.id, browser);
       }
-      
-      // Uninstall the extension
-      if (typeof addon.uninstall === "function") {
-        await addon.uninstall();
-      } else if (typeof addon.remove === "function") {
-        await addon.remove();
-      } else {
-        // As a fallback, direct the user to manage page
-        this.manageExtension(extensionId);
-        return;
+      if (typeof SitePermissions.clearTemporaryBlockPermissions === "function") {
+        SitePermissions.clearTemporaryBlockPermissions(browser);
       }
-      log("PanelManager", `Extension ${extensionId} removed successfully`);
-      
-      // Refresh the extensions display
-      this.updateExtensions();
-      
-      this.hidePanel();
+
+      log("PanelManager", `Permissions reset for ${principal.origin}`);
+      this.refreshPermissionIndicators();
+      this.renderSubview();
     } catch (error) {
-      logError("PanelManager", "Error removing extension", error);
+      logError("PanelManager", "Error resetting page permissions", error);
     }
   }
 
   /**
-   * Reports extension
-   * @param {string} extensionId - The extension ID
+   * Refreshes the urlbar permission icons and the panel's security status
+   * after a permission change
    */
-  reportExtension(extensionId) {
-    try {
-      log("PanelManager", `Reporting extension ${extensionId}`);
-      
-      // Get extension info
-      const addon = AddonManager.getAddonByID(extensionId);
-      if (!addon) {
-        log("PanelManager", `Extension ${extensionId} not found for reporting`);
-        return;
-      }
-      
-      // Open the AMO feedback page for the extension using the add-on ID
-      const amoId = addon.id || extensionId;
-      const reportUrl = `https://addons.mozilla.org/firefox/feedback/addon/${amoId}/`;
-      const principal = Services.scriptSecurityManager.getSystemPrincipal();
-      const newTab = gBrowser.addTab(reportUrl, { 
-        triggeringPrincipal: principal 
-      });
-      
-      // Switch to the new tab
-      gBrowser.selectedTab = newTab;
-      
-      this.hidePanel();
-    } catch (error) {
-      logError("PanelManager", "Error reporting extension", error);
+  refreshPermissionIndicators() {
+    if (typeof gPermissionPanel !== "undefined" && typeof gPermissionPanel.refreshPermissionIcons === "function") {
+      gPermissionPanel.refreshPermissionIcons();
     }
+    this.updateSecurityStatus();
   }
 
   // ============================================================================
-  // EXTRAS FUNCTIONALITY
+  // PUBLIC EXTENSION API
   // ============================================================================
 
   /**
-   * Shows the context menu for the extras function
-   * @param {Event} event - The click event
+   * Registers a panel section from another userscript. The section is appended
+   * after the built-in ones unless the order pref places it elsewhere, and it
+   * honours the hidden and collapsed prefs like any built-in section.
+   * @param {Object} definition - The section definition
+   * @param {string} definition.id - Unique section ID, used in the layout prefs
+   * @param {string} definition.label - Header label
+   * @param {Function} definition.markup - Called with (manager), returns the section's XUL markup
+   * @param {Function} [definition.setup] - Called with (manager, sectionElement) after the panel is built
+   * @param {Function} [definition.refresh] - Called with (manager, sectionElement) on open and tab change
+   * @param {boolean} [definition.showLabel] - Whether the header is shown in full while expanded; otherwise it is faint
+   * @param {Function} [definition.isAvailable] - Called with (manager) when the panel is built; false leaves the section out
+   * @returns {Function|null} A function that unregisters the section, or null on invalid input
    */
-  showExtrasContextMenu(event) {
-    const contextMenu = document.querySelector("#extras-context-menu");
-    if (contextMenu) {
-      // Setup listeners only once
-      if (!this.extrasMenuListenersSetup) {
-        this.setupExtrasMenuListeners();
-        this.extrasMenuListenersSetup = true;
-      }
-      
-      // Position the menu at the mouse location
-      contextMenu.openPopupAtScreen(event.screenX, event.screenY, false);
+  registerSection(definition) {
+    if (!definition || !definition.id || typeof definition.markup !== "function") {
+      logError("PanelManager", "registerSection requires an id and a markup function", new Error("Invalid section"));
+      return null;
+    }
+    if (this.sections.has(definition.id)) {
+      logError("PanelManager", `Section ${definition.id} is already registered`, new Error("Duplicate section"));
+      return null;
     }
+
+    this.sections.set(definition.id, {
+      elementId: `${definition.id}-section`,
+      label: definition.id,
+      ...definition
+    });
+    this.needsRebuild = true;
+    log("PanelManager", `Section registered: ${definition.id}`);
+
+    return () => this.unregisterSection(definition.id);
   }
 
   /**
-   * Sets up event listeners for the extras context menu items
+   * Removes a section added through registerSection()
+   * @param {string} sectionId - The section ID
    */
-  setupExtrasMenuListeners() {
-    log("PanelManager", "Setting up extras menu listeners");
-    
-    const clearCacheMenu = document.querySelector("#clear-cache-button");
-    if (clearCacheMenu) {
-      clearCacheMenu.addEventListener("command", () => {
-        log("PanelManager", "Clear cache command triggered");
-        this.clearCache();
-      });
+  unregisterSection(sectionId) {
+    if (BUILTIN_SECTIONS.some(section => section.id === sectionId)) {
+      log("PanelManager", `Built-in section ${sectionId} cannot be unregistered; hide it through ${PREFS.SECTIONS_HIDDEN}`);
+      return;
     }
+    if (this.sections.delete(sectionId)) {
+      this.needsRebuild = true;
+      log("PanelManager", `Section unregistered: ${sectionId}`);
+    }
+  }
 
-    const clearCookiesMenu = document.querySelector("#clear-cookies-button");
-    if (clearCookiesMenu) {
-      clearCookiesMenu.addEventListener("command", async () => {
-        log("PanelManager", "Clear cookies command triggered");
-        await this.clearCookies();
-      });
+  /**
+   * Registers an action button shown in the page controls row
+   * @param {Object} action - The action definition
+   * @param {string} action.id - Unique action ID
+   * @param {string} action.label - Tooltip and accessible label
+   * @param {string} [action.icon] - Icon URL
+   * @param {Function} action.onCommand - Called with ({ event, browser, uri, manager }) when activated
+   * @param {Function} [action.isEnabled] - Called with ({ browser, uri, manager }) on open and tab change
+   * @param {boolean} [action.keepOpen] - Keep the panel open after the command runs
+   * @param {string} [action.accelerator] - Single key that runs the action while the panel is open
+   * @returns {Function|null} A function that unregisters the action, or null on invalid input
+   */
+  registerAction(action) {
+    if (!action || !action.id || typeof action.onCommand !== "function") {
+      logError("PanelManager", "registerAction requires an id and an onCommand function", new Error("Invalid action"));
+      return null;
+    }
+    if (this.actions.has(action.id)) {
+      logError("PanelManager", `Action ${action.id} is already registered`, new Error("Duplicate action"));
+      return null;
     }
 
-    const manageExtensionsMenu = document.querySelector("#manage-extensions-button");
-    if (manageExtensionsMenu) {
-      manageExtensionsMenu.addEventListener("command", () => {
-        log("PanelManager", "Manage extensions command triggered");
-        this.manageExtensions();
-      });
+    this.actions.set(action.id, action);
+    this.renderRegisteredActions();
+    log("PanelManager", `Action registered: ${action.id}`);
+
+    return () => this.unregisterAction(action.id);
+  }
+
+  /**
+   * Removes an action added through registerAction()
+   * @param {string} actionId - The action ID
+   */
+  unregisterAction(actionId) {
+    if (this.actions.delete(actionId)) {
+      this.renderRegisteredActions();
+      log("PanelManager", `Action unregistered: ${actionId}`);
     }
+  }
 
-    const pagePermissionsMenu = document.querySelector("#page-permissions-button");
-    if (pagePermissionsMenu) {
-      pagePermissionsMenu.addEventListener("command", () => {
-        log("PanelManager", "Page permissions command triggered");
-        this.showPagePermissions();
-      });
+  /**
+   * Adds a lifecycle listener
+   * @param {string} type - One of "open", "close" or "tabchange"
+   * @param {Function} callback - Called with ({ browser, uri, manager })
+   * @returns {Function} A function that removes the listener
+   */
+  addLifecycleListener(type, callback) {
+    if (!this.lifecycleListeners[type]) {
+      logError("PanelManager", `Unknown lifecycle event: ${type}`, new Error("Invalid lifecycle event"));
+      return () => {};
     }
-    
-    log("PanelManager", "Extras menu listeners setup complete");
+    this.lifecycleListeners[type].add(callback);
+    return () => this.removeLifecycleListener(type, callback);
   }
 
   /**
-   * Clears cache for the current page
+   * Removes a lifecycle listener
+   * @param {string} type - One of "open", "close" or "tabchange"
+   * @param {Function} callback - The callback passed to addLifecycleListener()
    */
-  clearCache() {
-    log("PanelManager", "Clearing cache for current page");
-    try {
-      const currentURI = gBrowser.currentURI;
-      if (currentURI) {
-        // Clear cache for the current page's domain
-        Services.obs.notifyObservers(null, "browser:purge-session-history", "");
-        
-        // Also try to clear the specific page from cache
-        const cacheService = Services.cache2;
-        if (cacheService) {
-          cacheService.clear();
-        }
-        
-        // Refresh the current tab after clearing cache
-        log("PanelManager", "Refreshing tab after cache clear");
-        gBrowser.reload();
+  removeLifecycleListener(type, callback) {
+    if (this.lifecycleListeners[type]) {
+      this.lifecycleListeners[type].delete(callback);
+    }
+  }
+
+  /**
+   * Notifies lifecycle listeners, isolating failures in third-party callbacks
+   * @param {string} type - The lifecycle event
+   */
+  notifyLifecycleListeners(type) {
+    const context = this.getActionContext();
+    for (const callback of this.lifecycleListeners[type]) {
+      try {
+        callback(context);
+      } catch (error) {
+        logError("PanelManager", `Error in ${type} lifecycle listener`, error);
       }
-    } catch (error) {
-      logError("PanelManager", "Error clearing cache", error);
     }
-    this.hidePanel();
   }
 
   /**
-   * Clears cookies for the current page domain
+   * Builds the context object handed to actions and lifecycle listeners
+   * @returns {Object} The browser, URI and manager for the selected tab
    */
-  async clearCookies() {
-    log("PanelManager", "Clearing cookies for current page domain");
-    try {
-      const currentURI = gBrowser.currentURI;
-      if (currentURI) {
-        const host = currentURI.host;
-        if (host) {
-          // Try using the newer cookie management approach
-          try {
-            // Method 1: Use the newer cookie service
-            const { CookieManager } = ChromeUtils.import("resource://gre/modules/CookieManager.jsm");
-            const cookieManager = new CookieManager();
-            
-            // Get cookies for the domain
-            const cookies = await cookieManager.getCookiesFromHost(host);
-            
-            let removedCount = 0;
-            for (const cookie of cookies) {
-              try {
-                await cookieManager.remove(cookie);
-                removedCount++;
-              } catch (error) {
-                log("PanelManager", `Failed to remove cookie: ${cookie.name}`);
-              }
-            }
-            
-            log("PanelManager", `Cookie clearing complete for ${host}: ${removedCount} removed using new API`);
-          } catch (newApiError) {
-            // Fallback to the old method with a simpler approach
-            log("PanelManager", "New cookie API failed, trying fallback method");
-            
-            const cookieManager = Services.cookies;
-            const cookies = cookieManager.getCookiesFromHost(host, {});
-            
-            let removedCount = 0;
-            let failedCount = 0;
-            
-            // Try a simpler approach - just clear all cookies for the domain
-            try {
-              // Use the removeAllFromHost method if available
-              if (cookieManager.removeAllFromHost) {
-                cookieManager.removeAllFromHost(host, {});
-                removedCount = cookies.length;
-                log("PanelManager", `Cleared all cookies for ${host} using removeAllFromHost`);
-              } else {
-                // Fallback to individual removal with minimal parameters
-                for (const cookie of cookies) {
-                  try {
-                    // Try the simplest possible removal
-                    cookieManager.remove(cookie.host, cookie.name, "/", false, {});
-                    removedCount++;
-                  } catch (error) {
-                    failedCount++;
-                  }
-                }
-                log("PanelManager", `Cookie clearing complete for ${host}: ${removedCount} removed, ${failedCount} failed`);
-              }
-            } catch (fallbackError) {
-              logError("PanelManager", "All cookie removal methods failed", fallbackError);
-            }
-          }
-          
-          // Refresh the current tab after clearing cookies
-          log("PanelManager", "Refreshing tab after cookie clear");
-          gBrowser.reload();
-        }
+  getActionContext() {
+    return {
+      browser: gBrowser.selectedBrowser,
+      uri: gBrowser.currentURI,
+      manager: this
+    };
+  }
+
+  /**
+   * Renders registered actions at the end of the page controls row
+   */
+  renderRegisteredActions() {
+    const container = document.querySelector("#page-controls-container");
+    if (!container) return;
+
+    container.querySelectorAll("[data-action-id]").forEach(el => el.remove());
+
+    for (const action of this.actions.values()) {
+      const button = document.createXULElement("image");
+      button.className = "urlbar-icon page-controls-registered-action";
+      button.setAttribute("data-action-id", action.id);
+      button.setAttribute("tooltiptext", this.withAcceleratorHint(action.label || action.id, action.accelerator));
+      button.setAttribute("role", "button");
+      button.setAttribute("aria-label", action.label || action.id);
+      if (action.accelerator && this.areAcceleratorsEnabled()) {
+        button.setAttribute("data-accelerator", action.accelerator.toUpperCase());
+        button.setAttribute("aria-keyshortcuts", action.accelerator.toUpperCase());
       }
-    } catch (error) {
-      logError("PanelManager", "Error clearing cookies", error);
+      if (action.icon) {
+        button.style.listStyleImage = `url("${action.icon}")`;
+      }
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        this.runRegisteredAction(action.id, event);
+      });
+      container.appendChild(button);
     }
-    this.hidePanel();
+
+    this.updateRegisteredActionStates();
+    this.updateQuickActionStates();
   }
 
   /**
-   * Opens the extensions management page
+   * Re-evaluates isEnabled() for every registered action
    */
-  manageExtensions() {
-    log("PanelManager", "Opening extensions management");
-    try {
-      // Open about:addons in a new tab with proper principal
-      const principal = Services.scriptSecurityManager.getSystemPrincipal();
-      const newTab = gBrowser.addTab("about:addons", { triggeringPrincipal: principal });
-      
-      // Switch to the new tab
-      gBrowser.selectedTab = newTab;
-    } catch (error) {
-      logError("PanelManager", "Error opening extensions management", error);
+  updateRegisteredActionStates() {
+    const context = this.getActionContext();
+    for (const action of this.actions.values()) {
+      const button = document.querySelector(`[data-action-id="${CSS.escape(action.id)}"]`);
+      if (!button) continue;
+
+      let enabled = true;
+      if (typeof action.isEnabled === "function") {
+        try {
+          enabled = !!action.isEnabled(context);
+        } catch (error) {
+          logError("PanelManager", `Error in isEnabled for action ${action.id}`, error);
+        }
+      }
+      button.toggleAttribute("disabled", !enabled);
+      button.setAttribute("aria-disabled", (!enabled).toString());
     }
-    this.hidePanel();
   }
 
   /**
-   * Shows page permissions dialog
+   * Runs a registered action's command
+   * @param {string} actionId - The action ID
+   * @param {Event} event - The triggering event
    */
-  showPagePermissions() {
-    log("PanelManager", "Showing page permissions");
+  runRegisteredAction(actionId, event) {
+    const action = this.actions.get(actionId);
+    if (!action) return;
+
+    const button = document.querySelector(`[data-action-id="${CSS.escape(actionId)}"]`);
+    if (button && button.hasAttribute("disabled")) return;
+
     try {
-      // Open the page info dialog which shows permissions
-      const principal = Services.scriptSecurityManager.getSystemPrincipal();
-      const newTab = gBrowser.addTab("about:preferences#privacy", { triggeringPrincipal: principal });
-      
-      // Switch to the new tab
-      gBrowser.selectedTab = newTab;
+      action.onCommand({ event, ...this.getActionContext() });
     } catch (error) {
-      logError("PanelManager", "Error opening page permissions", error);
+      logError("PanelManager", `Error running action ${actionId}`, error);
     }
-    this.hidePanel();
+
+    if (!action.keepOpen) {
+      this.hidePanel();
+    }
+  }
+
+  /**
+   * Refreshes the open panel and notifies listeners when the selected tab changes
+   */
+  setupTabChangeListener() {
+    if (this.boundOnTabSelect) return;
+
+    this.boundOnTabSelect = () => {
+      if (!this.isOpen) return;
+      this.refreshSections();
+      if (this.activeSubview && this.activeSubview.refreshOnTabChange !== false) {
+        this.renderSubview();
+      }
+      this.notifyLifecycleListeners("tabchange");
+    };
+    gBrowser.tabContainer.addEventListener("TabSelect", this.boundOnTabSelect);
   }
 
   // ============================================================================
@@ -1458,12 +7082,44 @@ class PanelManager {
       this.addonListener = null;
       log("PanelManager", "AddonManager listener removed");
     }
+
+    if (this.installListener) {
+      AddonManager.removeInstallListener(this.installListener);
+      this.installListener = null;
+    }
+
+    if (this.processShutdownObserver) {
+      Services.obs.removeObserver(this.processShutdownObserver, "ipc:content-shutdown");
+      this.processShutdownObserver = null;
+    }
+
+    if (this.prefObserver) {
+      Services.prefs.removeObserver(PREFS.BRANCH, this.prefObserver);
+      this.prefObserver = null;
+    }
+
+    if (this.boundOnTabSelect) {
+      gBrowser.tabContainer.removeEventListener("TabSelect", this.boundOnTabSelect);
+      this.boundOnTabSelect = null;
+    }
+
+    if (this.boundOnShortcutKeyDown) {
+      window.removeEventListener("keydown", this.boundOnShortcutKeyDown, true);
+      this.boundOnShortcutKeyDown = null;
+    }
+
+    if (this.tabsProgressListener) {
+      gBrowser.removeTabsProgressListener(this.tabsProgressListener);
+      this.tabsProgressListener = null;
+    }
+
+    if (this.boundOnWorkspaceTabSelect) {
+      gBrowser.tabContainer.removeEventListener("TabSelect", this.boundOnWorkspaceTabSelect);
+      this.boundOnWorkspaceTabSelect = null;
+    }
     
     // Clean up context menu
     this.hideExtensionContextMenu();
-    
-    // Reset extras menu listeners flag
-    this.extrasMenuListenersSetup = false;
   }
 }
 
@@ -1486,6 +7142,9 @@ function initializeURLBarModifier() {
   window.panelManager = panelManager;
   
   setupEventListeners(panelManager);
+
+  // Let userscripts loaded before this one register content once the API exists
+  window.dispatchEvent(new CustomEvent("PageControlsPanelReady", { detail: panelManager }));
   log("URLBarModifier", "Initialization complete");
 }
 
@@ -1504,6 +7163,10 @@ function setupEventListeners(panelManager) {
   // Setup DOM content loaded listener
   window.addEventListener("DOMContentLoaded", () => {
     setupPageActionButton(panelManager);
+    panelManager.setupGlobalShortcut();
+    panelManager.setupContainerAssignmentListener();
+    panelManager.setupWorkspaceExtensionSetListener();
+    panelManager.setupExtensionHealthMonitor();
   });
 }
 
@@ -1527,7 +7190,7 @@ function setupPageActionButton(panelManager) {
         pageActionButtons.setAttribute("data-urlbar-modified", "true");
         
         const buttonXUL = `
-    <hbox id="${CONFIG.BUTTON_ID}" class="urlbar-page-action" role="button">
+    <hbox id="${CONFIG.BUTTON_ID}" class="urlbar-page-action" role="button" tabindex="0" aria-label="Page Controls" aria-haspopup="dialog" aria-expanded="false">
             <image id="controls-button" class="urlbar-icon"></image>
           </hbox>
         `;
@@ -1541,6 +7204,12 @@ function setupPageActionButton(panelManager) {
             event.stopPropagation();
             panelManager.togglePanel(button);
           });
+          button.addEventListener("keydown", (event) => {
+            if (event.key !== "Enter" && event.key !== " ") return;
+            event.preventDefault();
+            event.stopPropagation();
+            panelManager.togglePanel(button, { focusFirstItem: true });
+          });
     log("URLBarModifier", "Added click handler to button");
   }
 }